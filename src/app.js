@@ -10,8 +10,11 @@
 const express = require('express');
 const axios = require('axios');
 const FormData = require('form-data');
+const yaml = require('js-yaml');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
 
 // Open browser using system commands (works reliably in compiled executables)
 function openBrowser(url) {
@@ -31,14 +34,159 @@ function openBrowser(url) {
 }
 
 // ============================================================================
-// IN-MEMORY STORAGE
+// STORAGE
 // ============================================================================
+// Tenant sessions live in memory only (saved tenant profiles are kept
+// encrypted in profiles.json, see TENANT PROFILES); migrations, their items, batches and
+// schedules are also appended to a JSON-lines history file so they survive
+// restarts.
 const store = {
   tenants: new Map(),
   migrations: new Map(),
-  migrationItems: new Map()
+  migrationItems: new Map(),
+  batches: new Map(),
+  schedules: new Map()
 };
 
+function getDataDir() {
+  if (process.env.QLIK_MIGRATION_DATA_DIR) return process.env.QLIK_MIGRATION_DATA_DIR;
+  const home = require('os').homedir();
+  if (process.platform === 'win32') {
+    return path.join(process.env.APPDATA || path.join(home, 'AppData', 'Roaming'), 'QlikMigrationTool');
+  } else if (process.platform === 'darwin') {
+    return path.join(home, 'Library', 'Application Support', 'QlikMigrationTool');
+  }
+  return path.join(process.env.XDG_DATA_HOME || path.join(home, '.local', 'share'), 'qlik-migration-tool');
+}
+
+const DATA_DIR = getDataDir();
+const HISTORY_FILE = path.join(DATA_DIR, 'migrations.jsonl');
+const PROFILES_FILE = path.join(DATA_DIR, 'profiles.json');
+
+function appendRecord(record) {
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.appendFileSync(HISTORY_FILE, JSON.stringify(record) + '\n');
+  } catch (error) {
+    console.error('Could not write migration history:', error.message);
+  }
+}
+
+function saveMigration(migration) {
+  store.migrations.set(migration.id, migration);
+  appendRecord({ type: 'migration', data: migration });
+}
+
+function saveMigrationItems(migrationId, items) {
+  store.migrationItems.set(migrationId, items);
+  appendRecord({ type: 'items', migrationId, data: items });
+}
+
+function saveMigrationItem(item) {
+  appendRecord({ type: 'item', data: item });
+}
+
+function saveBatch(batch) {
+  store.batches.set(batch.id, batch);
+  appendRecord({ type: 'batch', data: batch });
+}
+
+function saveSchedule(schedule) {
+  store.schedules.set(schedule.id, schedule);
+  appendRecord({ type: 'schedule', data: schedule });
+}
+
+function deleteSchedule(scheduleId) {
+  store.schedules.delete(scheduleId);
+  appendRecord({ type: 'schedule-deleted', id: scheduleId });
+}
+
+// Progress counts every settled item, whether it completed, failed or was skipped
+function settledPercentage(settled, total) {
+  return total > 0 ? Math.round((settled / total) * 100) : 100;
+}
+
+function summarizeItems(items) {
+  const total = items.length;
+  const completed = items.filter(i => i.status === 'completed').length;
+  const failed = items.filter(i => i.status === 'failed').length;
+  const skipped = items.filter(i => i.status === 'skipped').length;
+  return { total, completed, failed, skipped, percentage: settledPercentage(completed + failed + skipped, total) };
+}
+
+// Replays the history file into `store`, marks runs that were still going when
+// the process died as interrupted, then rewrites the file in compacted form.
+function loadStore() {
+  if (!fs.existsSync(HISTORY_FILE)) return;
+  const lines = fs.readFileSync(HISTORY_FILE, 'utf8').split('\n');
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (e) {
+      continue; // torn write from a crash
+    }
+    if (record.type === 'migration') {
+      store.migrations.set(record.data.id, record.data);
+    } else if (record.type === 'items') {
+      store.migrationItems.set(record.migrationId, record.data);
+    } else if (record.type === 'item') {
+      const items = store.migrationItems.get(record.data.migrationId) || [];
+      const index = items.findIndex(i => i.id === record.data.id);
+      if (index >= 0) items[index] = record.data;
+      else items.push(record.data);
+      store.migrationItems.set(record.data.migrationId, items);
+    } else if (record.type === 'batch') {
+      store.batches.set(record.data.id, record.data);
+    } else if (record.type === 'schedule') {
+      store.schedules.set(record.data.id, record.data);
+    } else if (record.type === 'schedule-deleted') {
+      store.schedules.delete(record.id);
+    }
+  }
+
+  const now = new Date().toISOString();
+  for (const migration of store.migrations.values()) {
+    if (migration.status !== 'running') continue;
+    const items = store.migrationItems.get(migration.id) || [];
+    items.filter(i => i.status === 'in_progress').forEach(i => { i.status = 'pending'; i.startedAt = null; });
+    migration.status = 'interrupted';
+    migration.interruptedAt = now;
+    migration.progress = summarizeItems(items);
+  }
+  for (const migration of store.migrations.values()) {
+    if (migration.rollback?.status === 'running') {
+      migration.rollback.status = 'interrupted';
+      migration.rollback.completedAt = now;
+    }
+  }
+  for (const batch of store.batches.values()) {
+    if (batch.status !== 'running') continue;
+    batch.pairs.filter(p => p.status === 'running').forEach(p => { p.status = 'pending'; });
+    batch.status = 'interrupted';
+    batch.interruptedAt = now;
+  }
+  for (const schedule of store.schedules.values()) {
+    schedule.runs.filter(r => r.status === 'running').forEach(r => { r.status = 'interrupted'; r.completedAt = now; });
+  }
+
+  const compacted = [];
+  for (const migration of store.migrations.values()) {
+    compacted.push(JSON.stringify({ type: 'migration', data: migration }));
+    compacted.push(JSON.stringify({ type: 'items', migrationId: migration.id, data: store.migrationItems.get(migration.id) || [] }));
+  }
+  for (const batch of store.batches.values()) {
+    compacted.push(JSON.stringify({ type: 'batch', data: batch }));
+  }
+  for (const schedule of store.schedules.values()) {
+    compacted.push(JSON.stringify({ type: 'schedule', data: schedule }));
+  }
+  const tmpFile = HISTORY_FILE + '.tmp';
+  fs.writeFileSync(tmpFile, compacted.map(l => l + '\n').join(''));
+  fs.renameSync(tmpFile, HISTORY_FILE);
+}
+
 function generateUUID() {
   return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
     const r = Math.random() * 16 | 0;
@@ -50,14 +198,80 @@ function generateUUID() {
 // ============================================================================
 // QLIK API SERVICE
 // ============================================================================
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+// Answers meaning the request was turned away before anything was written
+const REFUSED_STATUSES = [429, 503];
+// Network errors raised before the request left this machine
+const UNSENT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+const DEFAULT_MAX_ATTEMPTS = 5;
+const MAX_ATTEMPTS_LIMIT = 10;
+
 class QlikService {
-  constructor(tenantUrl, apiKey) {
+  constructor(tenantUrl, apiKey, retry = {}) {
     this.tenantUrl = tenantUrl;
     this.apiKey = apiKey;
     this.baseUrl = `https://${tenantUrl}/api/v1`;
+    this.retry = { maxAttempts: Number(process.env.QLIK_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS, baseDelayMs: 1000, maxDelayMs: 30000, ...retry };
+    // Clamped to 1-10; a value that is not a number falls back to the default,
+    // since the retry loop only ends on a finite limit
+    this.retry.maxAttempts = Math.min(MAX_ATTEMPTS_LIMIT, Math.max(1, Math.trunc(Number(this.retry.maxAttempts)) || DEFAULT_MAX_ATTEMPTS));
+    this.stats = null;
+  }
+
+  // A view of this service that counts retries and the last HTTP status into
+  // `stats`, so each migration item can report whether it was throttled
+  withStats(stats) {
+    const scoped = Object.create(this);
+    scoped.stats = stats;
+    return scoped;
+  }
+
+  // Sends via `send()` and retries 429s and transient 5xx responses with
+  // exponential backoff and jitter, honouring Retry-After. Network errors are
+  // only retried for GETs, or when the request was never sent. A POST may have
+  // created its object even though it failed, so it is resent straight away
+  // only after a 429 or 503; after other 5xx and network errors `findExisting`
+  // is asked first, and an object it finds is returned instead of posting again.
+  // Without `findExisting` such a POST is not retried.
+  async withRetry(method, send, findExisting = null) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const response = await send();
+        if (this.stats) this.stats.lastStatus = response.status;
+        return response;
+      } catch (error) {
+        const status = error.response?.status;
+        if (this.stats && status) this.stats.lastStatus = status;
+        const unsent = !status && UNSENT_ERROR_CODES.includes(error.code);
+        let retryable = status ? RETRYABLE_STATUSES.includes(status) : unsent || (method === 'GET' && !!error.code);
+        if (method === 'POST' && !unsent && !REFUSED_STATUSES.includes(status)) {
+          retryable = !!findExisting && (retryable || (!status && !!error.code));
+          if (retryable) {
+            const existing = await findExisting().catch(() => null);
+            if (existing) return { status: 200, data: existing };
+          }
+        }
+        if (!retryable || attempt >= this.retry.maxAttempts) throw error;
+        if (this.stats) {
+          this.stats.retries++;
+          if (status === 429) this.stats.throttled = true;
+        }
+        await new Promise(r => setTimeout(r, this.retryDelay(attempt, error.response?.headers?.['retry-after'])));
+      }
+    }
   }
 
-  async request(method, endpoint, data = null) {
+  retryDelay(attempt, retryAfter) {
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const ms = Number.isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+      if (ms >= 0) return Math.min(ms, this.retry.maxDelayMs);
+    }
+    const backoff = Math.min(this.retry.maxDelayMs, this.retry.baseDelayMs * 2 ** (attempt - 1));
+    return backoff / 2 + Math.random() * backoff / 2;
+  }
+
+  async request(method, endpoint, data = null, findExisting = null) {
     const config = {
       method,
       url: `${this.baseUrl}${endpoint}`,
@@ -68,46 +282,121 @@ class QlikService {
       timeout: 30000
     };
     if (data) config.data = data;
-    const response = await axios(config);
+    const response = await this.withRetry(method, () => axios(config), findExisting);
     return response.data;
   }
 
-  async listSpaces() {
-    const result = await this.request('GET', '/spaces');
-    return result.data || [];
+  // Follows Qlik's `links.next` cursors and returns the `data` of every page.
+  // `onPage` is called after each page with running totals.
+  async requestAllPages(endpoint, onPage = null) {
+    const all = [];
+    let next = endpoint;
+    let pages = 0;
+    while (next) {
+      const result = await this.request('GET', next);
+      all.push(...(result.data || []));
+      pages++;
+      if (onPage) onPage({ pages, items: all.length });
+      const href = result.links?.next?.href;
+      const nextEndpoint = href ? this.toEndpoint(href) : null;
+      next = nextEndpoint !== next ? nextEndpoint : null;
+    }
+    return all;
+  }
+
+  // Cursor links are absolute URLs; keep only the part after /api/v1 so paging
+  // always stays on this tenant
+  toEndpoint(href) {
+    const url = new URL(href, this.baseUrl);
+    return url.pathname.replace(/^\/api\/v1/, '') + url.search;
+  }
+
+  async getCurrentUser() {
+    return await this.request('GET', '/users/me');
+  }
+
+  async getUser(userId) {
+    return await this.request('GET', `/users/${userId}`);
+  }
+
+  async getDataFileQuotas() {
+    return await this.request('GET', '/data-files/quotas');
+  }
+
+  async listSpaces(onPage = null) {
+    return await this.requestAllPages('/spaces?limit=100', onPage);
   }
 
   async getSpace(spaceId) {
     return await this.request('GET', `/spaces/${spaceId}`);
   }
 
+  async createSpace(name, type, description = '') {
+    return await this.request('POST', '/spaces', { name, type, description },
+      async () => (await this.listSpaces()).find(s => s.name === name) || null);
+  }
+
   async renameSpace(spaceId, newName) {
     return await this.request('PATCH', `/spaces/${spaceId}`, [
       { op: 'replace', path: '/name', value: newName }
     ]);
   }
 
-  async listConnections(spaceId = null) {
-    let endpoint = '/data-connections?noDatafiles=true';
+  // Member role assignments; `type` is 'user' or 'group'
+  async listSpaceAssignments(spaceId) {
+    return await this.requestAllPages(`/spaces/${spaceId}/assignments?limit=100`);
+  }
+
+  async createSpaceAssignment(spaceId, assignment) {
+    return await this.request('POST', `/spaces/${spaceId}/assignments`, assignment,
+      async () => (await this.listSpaceAssignments(spaceId)).find(a => a.assigneeId === assignment.assigneeId) || null);
+  }
+
+  async updateSpaceAssignment(spaceId, assignmentId, roles) {
+    return await this.request('PUT', `/spaces/${spaceId}/assignments/${assignmentId}`, { roles });
+  }
+
+  async listConnections(spaceId = null, onPage = null) {
+    let endpoint = '/data-connections?noDatafiles=true&limit=100';
     if (spaceId) endpoint += `&spaceId=${spaceId}`;
-    const result = await this.request('GET', endpoint);
-    return result.data || [];
+    return await this.requestAllPages(endpoint, onPage);
+  }
+
+  async getConnection(connectionId) {
+    return await this.request('GET', `/data-connections/${connectionId}`);
+  }
+
+  async deleteConnection(connectionId) {
+    return await this.request('DELETE', `/data-connections/${connectionId}`);
+  }
+
+  async createConnection(definition) {
+    return await this.request('POST', '/data-connections', definition, () => this.findConnection(definition.space, definition.qName));
+  }
+
+  async updateConnection(connectionId, definition) {
+    return await this.request('PUT', `/data-connections/${connectionId}`, definition);
   }
 
   async duplicateConnection(sourceId, targetSpaceId, newName = null) {
     const payload = { id: sourceId, spaceId: targetSpaceId };
     if (newName) payload.name = newName;
-    return await this.request('POST', '/data-connections/actions/duplicate', payload);
+    return await this.request('POST', '/data-connections/actions/duplicate', payload,
+      async () => this.findConnection(targetSpaceId, newName || (await this.getConnection(sourceId)).qName));
+  }
+
+  // Used after a failed create to check whether the connection was made anyway
+  async findConnection(spaceId, name) {
+    return (await this.listConnections(spaceId)).find(c => c.qName === name) || null;
   }
 
   async getDataFilesConnectionId(spaceId) {
-    const result = await this.request('GET', '/data-files/connections');
-    const connections = result.data || [];
+    const connections = await this.requestAllPages('/data-files/connections?limit=100');
     const conn = connections.find(c => c.spaceId === spaceId);
     return conn ? conn.id : null;
   }
 
-  async listDataFiles(spaceId, includeFolders = true) {
+  async listDataFiles(spaceId, includeFolders = true, onPage = null) {
     const connectionId = await this.getDataFilesConnectionId(spaceId);
     let endpoint = '/data-files?limit=100';
     if (connectionId) {
@@ -116,127 +405,703 @@ class QlikService {
       endpoint += '&includeAllSpaces=true';
     }
     endpoint += `&includeFolders=${includeFolders}`;
-    const result = await this.request('GET', endpoint);
-    let files = result.data || [];
+    let files = await this.requestAllPages(endpoint, onPage);
     if (!connectionId) {
       files = files.filter(f => f.spaceId === spaceId);
     }
     return files;
   }
 
+  async getDataFile(fileId) {
+    return await this.request('GET', `/data-files/${fileId}`);
+  }
+
+  async deleteDataFile(fileId) {
+    return await this.request('DELETE', `/data-files/${fileId}`);
+  }
+
+  // Used after a failed upload or copy to check whether the file or folder was created anyway
+  async findDataFile(connectionId, name) {
+    const files = await this.requestAllPages(`/data-files?limit=100&connectionId=${connectionId}&includeFolders=true`);
+    return files.find(f => dataFilePath(f) === dataFilePath({ name })) || null;
+  }
+
   async copyDataFile(sourceId, targetConnectionId, fileName) {
     const jsonPayload = { name: fileName, sourceId, connectionId: targetConnectionId };
-    const form = new FormData();
-    form.append('Json', JSON.stringify(jsonPayload));
-    const response = await axios.post(`${this.baseUrl}/data-files`, form, {
-      headers: { 'Authorization': `Bearer ${this.apiKey}`, ...form.getHeaders() }
+    const response = await this.withRetry('POST', () => {
+      const form = new FormData();
+      form.append('Json', JSON.stringify(jsonPayload));
+      return axios.post(`${this.baseUrl}/data-files`, form, {
+        headers: { 'Authorization': `Bearer ${this.apiKey}`, ...form.getHeaders() }
+      });
+    }, () => this.findDataFile(targetConnectionId, fileName));
+    return response.data;
+  }
+
+  async downloadDataFile(fileId) {
+    const response = await this.withRetry('GET', () => axios.get(`${this.baseUrl}/data-files/${fileId}/content`, {
+      headers: { 'Authorization': `Bearer ${this.apiKey}` },
+      responseType: 'stream'
+    }));
+    return response.data;
+  }
+
+  // `openStream` is called for every attempt, since a consumed stream cannot be resent
+  async uploadDataFile(targetConnectionId, fileName, openStream) {
+    const response = await this.withRetry('POST', async () => {
+      const form = new FormData();
+      form.append('Json', JSON.stringify({ name: fileName, connectionId: targetConnectionId }));
+      form.append('File', await openStream(), { filename: path.posix.basename(fileName) });
+      return axios.post(`${this.baseUrl}/data-files`, form, {
+        headers: { 'Authorization': `Bearer ${this.apiKey}`, ...form.getHeaders() },
+        maxBodyLength: Infinity,
+        maxContentLength: Infinity
+      });
+    }, () => this.findDataFile(targetConnectionId, fileName));
+    return response.data;
+  }
+
+  // Replaces a data file's content but keeps its ID. Within a tenant the new
+  // content comes from `sourceId`; across tenants it is uploaded from `openStream`.
+  async replaceDataFile(fileId, targetConnectionId, fileName, { sourceId = null, openStream = null } = {}) {
+    const jsonPayload = { name: fileName, connectionId: targetConnectionId };
+    if (sourceId) jsonPayload.sourceId = sourceId;
+    const response = await this.withRetry('PUT', async () => {
+      const form = new FormData();
+      form.append('Json', JSON.stringify(jsonPayload));
+      if (openStream) form.append('File', await openStream(), { filename: path.posix.basename(fileName) });
+      return axios.put(`${this.baseUrl}/data-files/${fileId}`, form, {
+        headers: { 'Authorization': `Bearer ${this.apiKey}`, ...form.getHeaders() },
+        maxBodyLength: Infinity,
+        maxContentLength: Infinity
+      });
     });
     return response.data;
   }
 
+  async createFolder(targetConnectionId, folderName) {
+    const response = await this.withRetry('POST', () => {
+      const form = new FormData();
+      form.append('Json', JSON.stringify({ name: folderName, folder: true, connectionId: targetConnectionId }));
+      return axios.post(`${this.baseUrl}/data-files`, form, {
+        headers: { 'Authorization': `Bearer ${this.apiKey}`, ...form.getHeaders() }
+      });
+    }, () => this.findDataFile(targetConnectionId, folderName));
+    return response.data;
+  }
+
   async copyFolder(sourceId, targetConnectionId, folderName) {
     const jsonPayload = { name: folderName, folder: true, sourceId, connectionId: targetConnectionId };
-    const form = new FormData();
-    form.append('Json', JSON.stringify(jsonPayload));
-    const response = await axios.post(`${this.baseUrl}/data-files`, form, {
-      headers: { 'Authorization': `Bearer ${this.apiKey}`, ...form.getHeaders() }
-    });
+    const response = await this.withRetry('POST', () => {
+      const form = new FormData();
+      form.append('Json', JSON.stringify(jsonPayload));
+      return axios.post(`${this.baseUrl}/data-files`, form, {
+        headers: { 'Authorization': `Bearer ${this.apiKey}`, ...form.getHeaders() }
+      });
+    }, () => this.findDataFile(targetConnectionId, folderName));
+    return response.data;
+  }
+
+  // Apps are listed through the items API; each item's `resourceId` is the app ID
+  async listApps(spaceId, onPage = null) {
+    return await this.requestAllPages(`/items?resourceType=app&spaceId=${spaceId}&limit=100`, onPage);
+  }
+
+  async getApp(appId) {
+    return await this.request('GET', `/apps/${appId}`);
+  }
+
+  async deleteApp(appId) {
+    return await this.request('DELETE', `/apps/${appId}`);
+  }
+
+  // Used after a failed copy, publish or import to check whether the app was
+  // created anyway; answers in the shape of those calls' responses
+  async findApp(spaceId, name) {
+    const app = (await this.listApps(spaceId)).find(a => a.name === name);
+    return app ? { attributes: { id: app.resourceId, name: app.name } } : null;
+  }
+
+  async copyApp(appId, targetSpaceId, name) {
+    const result = await this.request('POST', `/apps/${appId}/copy`, { attributes: { name, spaceId: targetSpaceId } }, () => this.findApp(targetSpaceId, name));
+    return result.attributes;
+  }
+
+  // Publishing is the only way to put an app into a managed space
+  async publishApp(appId, targetSpaceId, name) {
+    const result = await this.request('POST', `/apps/${appId}/publish`, { spaceId: targetSpaceId, data: 'source', attributes: { name } }, () => this.findApp(targetSpaceId, name));
+    return result.attributes;
+  }
+
+  // Replaces the content of an already published app, keeping its ID
+  async republishApp(appId, targetAppId) {
+    const result = await this.request('PUT', `/apps/${appId}/publish`, { targetId: targetAppId, data: 'source' });
+    return result.attributes;
+  }
+
+  // The export call answers with the location of a temporary .qvf to download
+  async exportApp(appId) {
+    // A repeated export only leaves another temporary file, so it is always sent again
+    const exported = await this.withRetry('POST', () => axios.post(`${this.baseUrl}/apps/${appId}/export`, null, {
+      headers: { 'Authorization': `Bearer ${this.apiKey}` }
+    }), async () => null);
+    const location = exported.headers?.location;
+    if (!location) throw new Error('App export did not return a download location');
+    const response = await this.withRetry('GET', () => axios.get(`${this.baseUrl}${this.toEndpoint(location)}`, {
+      headers: { 'Authorization': `Bearer ${this.apiKey}` },
+      responseType: 'stream'
+    }));
     return response.data;
   }
 
-  async checkConnectionConflicts(targetSpaceId, connectionNames) {
-    const existing = await this.listConnections(targetSpaceId);
-    const existingNames = new Set(existing.map(c => c.qName));
-    return connectionNames.filter(name => existingNames.has(name));
+  // Without a `spaceId` the app lands in the API user's personal space.
+  // `openStream` is called for every attempt, as with data file uploads.
+  async importApp(name, spaceId, openStream) {
+    const query = new URLSearchParams({ name });
+    if (spaceId) query.set('spaceId', spaceId);
+    const response = await this.withRetry('POST', async () => axios.post(`${this.baseUrl}/apps/import?${query}`, await openStream(), {
+      headers: { 'Authorization': `Bearer ${this.apiKey}`, 'Content-Type': 'application/octet-stream' },
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity
+    }), spaceId ? () => this.findApp(spaceId, name) : null);
+    return response.data.attributes;
+  }
+
+  async getAppScript(appId) {
+    const result = await this.request('GET', `/apps/${appId}/scripts/current`);
+    return result.script || '';
+  }
+
+  // Saves the script as a new version, leaving the previous one in the app's history
+  async saveAppScript(appId, script, versionMessage) {
+    return await this.request('POST', `/apps/${appId}/scripts`, { script, versionMessage });
   }
 
-  async checkFileConflicts(targetSpaceId, fileNames) {
-    const existing = await this.listDataFiles(targetSpaceId);
-    const existingNames = new Set(existing.map(f => f.name || f.baseName));
-    return fileNames.filter(name => existingNames.has(name));
+  // Names already used in a space, mapped to the IDs of the items holding them.
+  // Used for conflict checks and to find the next free name when renaming.
+  async getExistingNames(spaceId) {
+    const [connections, files, apps] = await Promise.all([this.listConnections(spaceId), this.listDataFiles(spaceId), this.listApps(spaceId)]);
+    return {
+      connections: new Map(connections.map(c => [c.qName, c.qID])),
+      files: new Map(files.map(f => [dataFilePath(f), f.id])),
+      apps: new Map(apps.map(a => [a.name, a.resourceId]))
+    };
   }
 }
 
 // ============================================================================
 // MIGRATION SERVICE
 // ============================================================================
+// Live item and progress events, emitted under the migration's ID and streamed
+// to the browser by GET /api/migrations/:id/events
+const migrationEvents = new EventEmitter();
+migrationEvents.setMaxListeners(0);
+
+// Runs `fn` over `list` with at most `size` calls in flight
+async function runPool(list, size, fn) {
+  let next = 0;
+  const worker = async () => {
+    while (next < list.length) await fn(list[next++]);
+  };
+  await Promise.all(Array.from({ length: Math.min(size, list.length) }, worker));
+}
+
+// The parts of an exported connection that can be recreated elsewhere;
+// stored credentials are never returned by the API
+function connectionDefinition(source) {
+  const definition = { qName: source.qName, qType: source.qType, qConnectStatement: source.qConnectStatement };
+  ['qLogOn', 'qUsername', 'qArchitecture', 'qEngineObjectID'].forEach(key => {
+    if (source[key] !== undefined) definition[key] = source[key];
+  });
+  return definition;
+}
+
+// Points `lib://Space:Connection/...` paths and `LIB CONNECT TO 'Space:Connection'`
+// statements that name the source space at the target space, and swaps in the
+// new name of any connection that was renamed on the way. Unqualified references
+// resolve against the app's own space, so only their connection name can change.
+// Returns the new script and the lines that differ.
+function rewriteScriptPaths(script, sourceSpaceName, targetSpaceName, connectionRenames) {
+  const rewrite = (match, prefix, space, connection) => {
+    if (space && space !== sourceSpaceName) return match;
+    return prefix + (space ? `${targetSpaceName}:` : '') + (connectionRenames.get(connection) || connection);
+  };
+  const rewritten = script
+    .replace(/(lib:\/\/)(?:([^:/'"\]\r\n]+):)?([^/'"\]\r\n]+)/gi, rewrite)
+    .replace(/(lib\s+connect\s+to\s+['"[])(?:([^:'"\]\r\n]+):)?([^'"\]\r\n]+)/gi, rewrite);
+  const after = rewritten.split('\n');
+  const changes = script.split('\n')
+    .map((line, i) => ({ line: i + 1, before: line, after: after[i] }))
+    .filter(c => c.before !== c.after);
+  return { script: rewritten, changes };
+}
+
+// Connections that were copied under a different name, source name → target name
+function connectionRenames(items) {
+  return new Map(items
+    .filter(i => i.itemType === 'connection' && i.status === 'completed' && i.targetName && i.targetName !== i.name)
+    .map(i => [i.name, i.targetName]));
+}
+
+const VERIFY_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
 class MigrationService {
-  constructor(qlikService, progressCallback) {
+  // `targetQlik` is only passed for cross-tenant migrations; otherwise source
+  // and target are the same tenant.
+  constructor(qlikService, progressCallback, targetQlik = null) {
     this.qlik = qlikService;
+    this.target = targetQlik || qlikService;
     this.progressCallback = progressCallback;
   }
 
-  async executeMigration(migration, items) {
-    const migrationId = migration.id;
-    let completed = 0, failed = 0, skipped = 0;
-    const total = items.length;
+  get crossTenant() {
+    return this.target !== this.qlik;
+  }
+
+  // A view of this service whose API calls record retries into `stats`
+  forItem(stats) {
+    const worker = Object.create(this);
+    worker.qlik = this.qlik.withStats(stats);
+    worker.target = this.crossTenant ? this.target.withStats(stats) : worker.qlik;
+    return worker;
+  }
 
+  // Runs every `pending` item. Items that already finished keep their status and
+  // targetId, which is what lets a retry or resume pick up where a run left off.
+  // Connections, data files and apps each get their own pool of parallel workers.
+  // A failure outside the items, e.g. the target refusing the first request,
+  // ends the run as failed with the error, so it never stays running.
+  async executeMigration(migration, items) {
     migration.status = 'running';
     migration.startedAt = new Date().toISOString();
-    store.migrations.set(migrationId, migration);
+    delete migration.error;
+    saveMigration(migration);
+
+    try {
+      return await this.runQueue(migration, items);
+    } catch (error) {
+      migration.status = 'failed';
+      migration.error = error.message;
+      migration.completedAt = new Date().toISOString();
+      migration.progress = summarizeItems(items);
+      saveMigration(migration);
+      saveMigrationItems(migration.id, items);
+      migrationEvents.emit(migration.id, { type: 'done', migration });
+      throw error;
+    }
+  }
+
+  async runQueue(migration, items) {
+    const migrationId = migration.id;
+    const queue = items.filter(i => i.status === 'pending');
+    const counts = { completed: 0, failed: 0, skipped: 0 };
+    const total = queue.length;
+    const active = new Set();
+    const limits = migration.options?.concurrency || {};
+
+    const hasDataFiles = queue.some(i => i.itemType === 'file' || i.itemType === 'folder');
+    const targetConnectionId = hasDataFiles ? await this.target.getDataFilesConnectionId(migration.targetSpaceId) : null;
+
+    // Children wait for their parent folder, which is always queued ahead of them
+    const folderDone = new Map();
+    queue.filter(i => i.itemType === 'folder').forEach(folder => {
+      let resolve;
+      const promise = new Promise(r => { resolve = r; });
+      folderDone.set(folder.name, { promise, resolve });
+    });
+    const movedFolders = [];
+
+    const startTime = Date.now();
+    const bytes = { total: queue.reduce((sum, i) => sum + (i.sizeBytes || 0), 0), transferred: 0, settled: 0 };
+
+    // Throughput counts copied bytes; the ETA is based on bytes where sizes are
+    // known and on items otherwise
+    const reportProgress = () => {
+      const elapsed = (Date.now() - startTime) / 1000;
+      const settledItems = counts.completed + counts.failed + counts.skipped;
+      const bytesPerSecond = elapsed > 0 ? Math.round(bytes.transferred / elapsed) : 0;
+      let etaSeconds = null;
+      if (bytes.total > 0 && bytesPerSecond > 0) etaSeconds = Math.round((bytes.total - bytes.settled) / bytesPerSecond);
+      else if (bytes.total === 0 && settledItems > 0) etaSeconds = Math.round((elapsed / settledItems) * (total - settledItems));
+      const progress = {
+        migrationId, total, ...counts,
+        percentage: settledPercentage(settledItems, total),
+        currentItem: active.size ? [...active][0] : null,
+        currentItems: [...active],
+        bytesTotal: bytes.total,
+        bytesTransferred: bytes.transferred,
+        bytesPerSecond,
+        etaSeconds
+      };
+      this.progressCallback(progress);
+      migrationEvents.emit(migrationId, { type: 'progress', progress });
+    };
+    const reportItem = (item) => migrationEvents.emit(migrationId, { type: 'item', item: { ...item } });
 
-    const targetConnectionId = await this.qlik.getDataFilesConnectionId(migration.targetSpaceId);
+    const runItem = async (item) => {
+      const parent = folderDone.get(item.name.includes('/') ? item.name.slice(0, item.name.lastIndexOf('/')) : '');
+      if (parent) await parent.promise;
 
-    for (const item of items) {
       if (migration.status === 'cancelled') {
         item.status = 'skipped';
-        skipped++;
-        continue;
+        item.startedAt = item.completedAt = new Date().toISOString();
+        counts.skipped++;
+        bytes.settled += item.sizeBytes || 0;
+        saveMigrationItem(item);
+        reportItem(item);
+        folderDone.get(item.name)?.resolve();
+        return;
       }
 
-      this.progressCallback({
-        migrationId, total, completed, failed, skipped,
-        percentage: Math.round((completed / total) * 100),
-        currentItem: item.name
-      });
-
+      active.add(item.name);
       item.status = 'in_progress';
       item.startedAt = new Date().toISOString();
+      reportItem(item);
+      reportProgress();
+      const stats = { retries: 0, lastStatus: null, throttled: false };
+      const worker = this.forItem(stats);
 
       try {
         if (item.conflictType && item.conflictResolution === 'skip') {
           item.status = 'skipped';
-          skipped++;
-          continue;
-        }
-
-        let newName = item.name;
-        if (item.conflictType && item.conflictResolution === 'rename') {
-          newName = `${item.name}_copy_${Date.now()}`;
+          item.completedAt = new Date().toISOString();
+          counts.skipped++;
+          return;
         }
 
-        if (item.itemType === 'connection') {
-          const result = await this.qlik.duplicateConnection(item.sourceId, migration.targetSpaceId, newName !== item.name ? newName : null);
-          item.targetId = result.qID;
-        } else if (item.itemType === 'folder') {
-          const result = await this.qlik.copyFolder(item.sourceId, targetConnectionId, newName);
-          item.targetId = result.id;
-        } else if (item.itemType === 'file') {
-          const result = await this.qlik.copyDataFile(item.sourceId, targetConnectionId, newName);
-          item.targetId = result.id;
-        }
+        const newName = item.targetName || item.name;
+        item.targetId = item.conflictType && item.conflictResolution === 'overwrite'
+          ? await worker.overwriteItem(migration, item, targetConnectionId)
+          : await worker.copyItem(migration, item, newName, targetConnectionId);
 
         item.status = 'completed';
         item.completedAt = new Date().toISOString();
-        completed++;
+        counts.completed++;
+        bytes.transferred += item.sizeBytes || 0;
+
+        if (migration.options?.mode === 'move' && item.itemType === 'folder') {
+          movedFolders.push(item);
+        } else if (migration.options?.mode === 'move') {
+          try {
+            await worker.deleteMovedSource(migration, item);
+          } catch (error) {
+            item.errorMessage = `Copied, but the source was not deleted: ${error.message}`;
+          }
+        }
       } catch (error) {
         item.status = 'failed';
         item.errorMessage = error.message;
         item.completedAt = new Date().toISOString();
-        failed++;
+        counts.failed++;
+      } finally {
+        item.retryCount = stats.retries;
+        item.lastHttpStatus = stats.lastStatus;
+        item.throttled = stats.throttled;
+        saveMigrationItem(item);
+        bytes.settled += item.sizeBytes || 0;
+        active.delete(item.name);
+        reportItem(item);
+        reportProgress();
+        folderDone.get(item.name)?.resolve();
       }
+    };
+
+    await Promise.all([
+      runPool(queue.filter(i => i.itemType === 'connection'), limits.connections || 1, runItem),
+      runPool(queue.filter(i => i.itemType === 'folder' || i.itemType === 'file'), limits.files || 1, runItem),
+      runPool(queue.filter(i => i.itemType === 'app'), limits.apps || 1, runItem)
+    ]);
 
-      await new Promise(r => setTimeout(r, 200));
+    // Source folders go last, deepest first, and only once everything beneath
+    // them has been moved out. Deleting a folder removes whatever is in it, so
+    // the source is listed again first: excluded children and files added
+    // since planning keep their folder.
+    movedFolders.sort((a, b) => b.name.split('/').length - a.name.split('/').length);
+    let sourcePaths = null;
+    if (movedFolders.length) {
+      try {
+        sourcePaths = (await this.qlik.listDataFiles(migration.sourceSpaceId)).map(dataFilePath);
+      } catch (error) {
+        movedFolders.forEach(folder => { folder.errorMessage = `Copied, but the source folder was kept because its contents could not be listed: ${error.message}`; saveMigrationItem(folder); });
+        movedFolders.length = 0;
+      }
+    }
+    const deletedFolders = new Set();
+    for (const folder of movedFolders) {
+      const prefix = folder.name + '/';
+      if (items.some(i => i.name.startsWith(prefix) && !i.sourceDeleted) || sourcePaths.some(p => p.startsWith(prefix) && !deletedFolders.has(p))) {
+        folder.errorMessage = 'Copied, but the source folder was kept because not all of its contents were moved';
+      } else {
+        try {
+          await this.forItem({ retries: 0, lastStatus: null, throttled: false }).deleteMovedSource(migration, folder);
+          deletedFolders.add(folder.name);
+        } catch (error) {
+          folder.errorMessage = `Copied, but the source was not deleted: ${error.message}`;
+        }
+      }
+      saveMigrationItem(folder);
     }
 
-    migration.status = failed === total ? 'failed' : 'completed';
+    await this.verifyMigration(migration, items);
+
+    // A cancelled run stays cancelled; the items it never reached are skipped
+    const summary = summarizeItems(items);
+    if (migration.status !== 'cancelled') migration.status = summary.failed === summary.total ? 'failed' : 'completed';
     migration.completedAt = new Date().toISOString();
-    migration.progress = { total, completed, failed, skipped, percentage: 100 };
-    store.migrations.set(migrationId, migration);
-    store.migrationItems.set(migrationId, items);
+    migration.progress = { ...summary, percentage: 100 };
+    saveMigration(migration);
+    saveMigrationItems(migrationId, items);
+    migrationEvents.emit(migrationId, { type: 'done', migration });
 
     return migration;
   }
+
+  // Returns the ID of the new item in the target space. Within a tenant Qlik
+  // copies server-side; across tenants connections are recreated from their
+  // exported definition and files are streamed down and uploaded again.
+  async copyItem(migration, item, newName, targetConnectionId) {
+    if (item.itemType === 'app') return await this.transferApp(migration, item, newName);
+    if (!this.crossTenant) {
+      if (item.itemType === 'connection') {
+        const result = await this.qlik.duplicateConnection(item.sourceId, migration.targetSpaceId, newName !== item.name ? newName : null);
+        return result.qID;
+      } else if (item.itemType === 'folder') {
+        return (await this.qlik.copyFolder(item.sourceId, targetConnectionId, newName)).id;
+      }
+      return (await this.qlik.copyDataFile(item.sourceId, targetConnectionId, newName)).id;
+    }
+
+    if (item.itemType === 'connection') {
+      const source = await this.qlik.getConnection(item.sourceId);
+      const definition = { ...connectionDefinition(source), qName: newName, space: migration.targetSpaceId };
+      const result = await this.target.createConnection(definition);
+      return result.qID || result.id;
+    } else if (item.itemType === 'folder') {
+      return (await this.target.createFolder(targetConnectionId, newName)).id;
+    }
+    return (await this.target.uploadDataFile(targetConnectionId, newName, () => this.qlik.downloadDataFile(item.sourceId))).id;
+  }
+
+  // Replaces the existing target item in place so its ID, and every app that
+  // references it, stays the same. An existing folder is simply reused.
+  async overwriteItem(migration, item, targetConnectionId) {
+    const targetId = item.conflictTargetId;
+    if (!targetId) throw new Error('The existing target item was not recorded');
+
+    if (item.itemType === 'connection') {
+      const source = await this.qlik.getConnection(item.sourceId);
+      const existing = await this.target.getConnection(targetId);
+      await this.target.updateConnection(targetId, { ...connectionDefinition(source), qID: targetId, qName: existing.qName, space: migration.targetSpaceId });
+    } else if (item.itemType === 'file') {
+      const content = this.crossTenant ? { openStream: () => this.qlik.downloadDataFile(item.sourceId) } : { sourceId: item.sourceId };
+      await this.target.replaceDataFile(targetId, targetConnectionId, item.targetName || item.name, content);
+    } else if (item.itemType === 'app') {
+      await this.transferApp(migration, item, item.targetName || item.name, targetId);
+    }
+    return targetId;
+  }
+
+  // Apps are copied within a tenant and exported/imported across tenants. With
+  // the publishApps option they are published into the (managed) target space
+  // instead, and an existing app is overwritten by republishing over it. Across
+  // tenants the app is first imported into the API user's personal space to be
+  // published from there, and that staging copy is removed afterwards.
+  async transferApp(migration, item, newName, replaceAppId = null) {
+    const publish = !!migration.options?.publishApps;
+    if (replaceAppId && !publish) throw new Error('Apps can only be overwritten by republishing to a managed space');
+    const openExport = () => this.qlik.exportApp(item.sourceId);
+
+    if (!publish) {
+      const copy = this.crossTenant
+        ? await this.target.importApp(newName, migration.targetSpaceId, openExport)
+        : await this.qlik.copyApp(item.sourceId, migration.targetSpaceId, newName);
+      return copy.id;
+    }
+
+    const staged = this.crossTenant ? await this.target.importApp(newName, null, openExport) : null;
+    const publishFrom = staged ? staged.id : item.sourceId;
+    try {
+      const published = replaceAppId
+        ? await this.target.republishApp(publishFrom, replaceAppId)
+        : await this.target.publishApp(publishFrom, migration.targetSpaceId, newName);
+      return published.id;
+    } finally {
+      // A leftover staging copy only clutters the personal space, so it must not fail the item
+      if (staged) await this.target.deleteApp(staged.id).catch(() => {});
+    }
+  }
+
+  // Re-lists the target space (and, after a move, the source space) and checks
+  // each completed item against it: the copy exists under the expected name,
+  // data files have the expected size and were written during the run, and
+  // moved sources are really gone. Results are stored on the items, with a
+  // summary on the migration; a listing failure is recorded, not thrown.
+  async verifyMigration(migration, items) {
+    const done = items.filter(i => i.status === 'completed' && i.targetId);
+    const kindOf = (item) => (item.itemType === 'folder' ? 'file' : item.itemType);
+    const kinds = new Set(done.map(kindOf));
+    const listSpace = async (qlik, spaceId) => ({
+      connection: new Map(kinds.has('connection') ? (await qlik.listConnections(spaceId)).map(c => [c.qID, { name: c.qName }]) : []),
+      file: new Map(kinds.has('file') ? (await qlik.listDataFiles(spaceId)).map(f => [f.id, { name: dataFilePath(f), size: f.size, modified: f.modifiedDate }]) : []),
+      app: new Map(kinds.has('app') ? (await qlik.listApps(spaceId)).map(a => [a.resourceId, { name: a.name }]) : [])
+    });
+
+    try {
+      const target = await listSpace(this.target, migration.targetSpaceId);
+      const source = migration.options?.mode === 'move' ? await listSpace(this.qlik, migration.sourceSpaceId) : null;
+      const summary = { verified: 0, mismatch: 0, missing: 0 };
+      for (const item of done) {
+        const copy = target[kindOf(item)].get(item.targetId);
+        const expectedName = item.targetName || item.name;
+        const issues = [];
+        if (!copy) {
+          issues.push('Not found in the target space');
+        } else {
+          if (copy.name !== expectedName) issues.push(`Named "${copy.name}" instead of "${expectedName}"`);
+          if (item.itemType === 'file' && copy.size !== undefined && copy.size !== item.sizeBytes) issues.push(`Size is ${copy.size} bytes, expected ${item.sizeBytes}`);
+          // Allows for clock drift between this machine and the tenant
+          if (item.itemType === 'file' && copy.modified && item.startedAt && new Date(copy.modified) < new Date(item.startedAt).getTime() - VERIFY_CLOCK_SKEW_MS) {
+            issues.push('Last modified before this run copied it');
+          }
+        }
+        if (source && item.sourceDeleted && source[kindOf(item)].has(item.sourceId)) issues.push('Source was deleted but is still listed');
+        item.verification = { status: !copy ? 'missing' : issues.length ? 'mismatch' : 'verified', issues, checkedAt: new Date().toISOString() };
+        summary[item.verification.status]++;
+      }
+      migration.verification = { verifiedAt: new Date().toISOString(), summary };
+    } catch (error) {
+      migration.verification = { verifiedAt: new Date().toISOString(), error: error.message };
+    }
+    return migration.verification;
+  }
+
+  // Proposed load-script changes for every migrated app, for review before
+  // anything is saved. Published apps cannot be edited and are only reported.
+  async previewScriptRewrites(migration, items) {
+    const renames = connectionRenames(items);
+    const rewrites = [];
+    for (const item of items.filter(i => i.itemType === 'app' && i.status === 'completed' && i.targetId)) {
+      const rewrite = { itemId: item.id, appId: item.targetId, appName: item.targetName || item.name, changes: [], status: 'unchanged' };
+      if (migration.options?.publishApps) {
+        rewrite.status = 'not_editable';
+        rewrite.errorMessage = 'Published apps cannot be edited; update the source app and republish';
+      } else {
+        try {
+          const { changes } = rewriteScriptPaths(await this.target.getAppScript(item.targetId), migration.sourceSpaceName, migration.targetSpaceName, renames);
+          rewrite.changes = changes;
+          if (changes.length) rewrite.status = 'pending';
+        } catch (error) {
+          rewrite.status = 'failed';
+          rewrite.errorMessage = error.message;
+        }
+      }
+      rewrites.push(rewrite);
+    }
+    return rewrites;
+  }
+
+  // Saves the approved rewrites. Each script is read again and only saved if it
+  // still produces exactly the changes that were reviewed.
+  async applyScriptRewrites(migration, items, appIds) {
+    const renames = connectionRenames(items);
+    for (const rewrite of migration.scriptRewrites.filter(r => r.status === 'pending' && appIds.includes(r.appId))) {
+      try {
+        const { script, changes } = rewriteScriptPaths(await this.target.getAppScript(rewrite.appId), migration.sourceSpaceName, migration.targetSpaceName, renames);
+        if (JSON.stringify(changes) !== JSON.stringify(rewrite.changes)) throw new Error('The script has changed since it was reviewed; preview the changes again');
+        await this.target.saveAppScript(rewrite.appId, script, `Rewrote lib:// paths after migration from ${migration.sourceSpaceName}`);
+        rewrite.status = 'applied';
+        rewrite.appliedAt = new Date().toISOString();
+      } catch (error) {
+        rewrite.status = 'failed';
+        rewrite.errorMessage = error.message;
+      }
+    }
+    return migration.scriptRewrites;
+  }
+
+  // Deletes what this migration created in the target space, in reverse
+  // dependency order: apps, files, folders (deepest first), then connections.
+  // Items that overwrote an existing target are left alone, as are copies whose
+  // source a move deleted, since those are now the only copy. A folder is kept
+  // if anything this migration did not create is still inside it.
+  async rollbackMigration(migration, items) {
+    const order = { app: 0, file: 1, folder: 2, connection: 3 };
+    const depth = (i) => i.name.split('/').length;
+    const created = items
+      .filter(i => i.status === 'completed' && i.targetId && !i.rolledBack && !(i.conflictType && i.conflictResolution === 'overwrite'))
+      .sort((a, b) => order[a.itemType] - order[b.itemType] || depth(b) - depth(a));
+
+    const rollback = { status: 'running', startedAt: new Date().toISOString(), total: created.length, deleted: 0, kept: 0, failed: 0 };
+    migration.rollback = rollback;
+    saveMigration(migration);
+    const report = () => migrationEvents.emit(migration.id, { type: 'rollback', rollback });
+
+    let remainingPaths = null;
+    for (const item of created) {
+      const outcome = { status: 'deleted', message: null };
+      try {
+        if (item.sourceDeleted) {
+          Object.assign(outcome, { status: 'kept', message: 'The move deleted the source, so this is the only copy left' });
+        } else if (item.itemType === 'folder') {
+          // Listed once all files are gone, so anything left inside is someone else's
+          remainingPaths = remainingPaths || new Set((await this.target.listDataFiles(migration.targetSpaceId)).map(dataFilePath));
+          const prefix = (item.targetName || item.name) + '/';
+          if ([...remainingPaths].some(p => p.startsWith(prefix))) {
+            Object.assign(outcome, { status: 'kept', message: 'The folder contains items this migration did not create' });
+          } else {
+            await this.deleteTargetItem(item);
+            remainingPaths.delete(item.targetName || item.name);
+          }
+        } else {
+          await this.deleteTargetItem(item);
+        }
+      } catch (error) {
+        if (error.response?.status === 404) outcome.message = 'Already deleted';
+        else Object.assign(outcome, { status: 'failed', message: error.message });
+      }
+      if (outcome.status === 'deleted') item.rolledBack = true;
+      item.rollback = { ...outcome, at: new Date().toISOString() };
+      rollback[outcome.status]++;
+      saveMigrationItem(item);
+      report();
+    }
+
+    rollback.status = rollback.failed ? 'failed' : 'completed';
+    rollback.completedAt = new Date().toISOString();
+    saveMigration(migration);
+    report();
+    return rollback;
+  }
+
+  async deleteTargetItem(item) {
+    if (item.itemType === 'connection') await this.target.deleteConnection(item.targetId);
+    else if (item.itemType === 'app') await this.target.deleteApp(item.targetId);
+    else await this.target.deleteDataFile(item.targetId);
+  }
+
+  // Only called after the copy succeeded; the copy is read back from the target
+  // space before the source is deleted.
+  async deleteMovedSource(migration, item) {
+    if (!item.targetId) throw new Error('No target ID recorded for the copy');
+    let copy;
+    if (item.itemType === 'connection') copy = await this.target.getConnection(item.targetId);
+    else if (item.itemType === 'app') copy = (await this.target.getApp(item.targetId))?.attributes;
+    else copy = await this.target.getDataFile(item.targetId);
+    const copySpaceId = copy?.space || copy?.spaceId;
+    if (!copy || (copySpaceId && copySpaceId !== migration.targetSpaceId)) {
+      throw new Error('Copy could not be found in the target space');
+    }
+
+    if (item.itemType === 'connection') {
+      await this.qlik.deleteConnection(item.sourceId);
+    } else if (item.itemType === 'app') {
+      await this.qlik.deleteApp(item.sourceId);
+    } else {
+      await this.qlik.deleteDataFile(item.sourceId);
+    }
+    item.sourceDeleted = true;
+    item.sourceDeletedAt = new Date().toISOString();
+  }
 }
 
 // ============================================================================
@@ -245,8 +1110,30 @@ class MigrationService {
 const app = express();
 app.use(express.json());
 
+// A random token minted at each launch. The browser is opened on a URL that
+// carries it, and the page and every /api call must present it, so other
+// local processes cannot drive the API by guessing a session ID.
+const API_TOKEN = crypto.randomBytes(32).toString('hex');
+
+function tokenMatches(token) {
+  const given = Buffer.from(String(token || ''));
+  const expected = Buffer.from(API_TOKEN);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// EventSource cannot send headers, so the token may also come as ?token=
+app.use('/api', (req, res, next) => {
+  if (!tokenMatches(req.headers['x-api-token'] || req.query.token)) {
+    return res.status(403).json({ error: 'Missing or invalid API token. Open the app from the link shown when it started.' });
+  }
+  next();
+});
+
 // Serve static frontend
 app.get('/', (req, res) => {
+  if (!tokenMatches(req.query.token)) {
+    return res.status(403).send('<!DOCTYPE html><html><body style="font-family:sans-serif;padding:40px"><h1>Qlik Migration Tool</h1><p>Open the app from the link shown in the window where it is running. The link changes every time the app starts.</p></body></html>');
+  }
   res.send(getHTML());
 });
 
@@ -255,6 +1142,38 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+// Sessions end after SESSION_IDLE_MS without a request, and SESSION_MAX_MS
+// after they were opened whatever the activity
+const SESSION_IDLE_MS = 2 * 60 * 60 * 1000;
+const SESSION_MAX_MS = 12 * 60 * 60 * 1000;
+
+function sessionExpired(tenant, now = Date.now()) {
+  return now - tenant.lastUsedAt > SESSION_IDLE_MS || now - tenant.connectedAt > SESSION_MAX_MS;
+}
+
+// The live session for a browser's tenant ID; each lookup counts as activity
+function getSession(tenantId) {
+  const tenant = store.tenants.get(tenantId);
+  if (!tenant) return null;
+  if (sessionExpired(tenant)) {
+    store.tenants.delete(tenantId);
+    return null;
+  }
+  tenant.lastUsedAt = Date.now();
+  return tenant;
+}
+
+async function connectTenant(tenantUrl, apiKey) {
+  const qlik = new QlikService(tenantUrl, apiKey);
+  const spaces = await qlik.listSpaces();
+  const tenantId = crypto.randomUUID();
+  const now = Date.now();
+  store.tenants.set(tenantId, { tenantUrl, apiKey, connectedAt: now, lastUsedAt: now });
+  // Schedules that came due while this tenant was not connected can run now
+  checkSchedules();
+  return { success: true, tenantId, tenantUrl, spacesCount: spaces.length, expiresAt: new Date(now + SESSION_MAX_MS).toISOString() };
+}
+
 // Connect to tenant
 app.post('/api/auth/connect', async (req, res) => {
   try {
@@ -262,11 +1181,7 @@ app.post('/api/auth/connect', async (req, res) => {
     if (!tenantUrl || !apiKey) {
       return res.status(400).json({ error: 'tenantUrl and apiKey are required' });
     }
-    const qlik = new QlikService(tenantUrl, apiKey);
-    const spaces = await qlik.listSpaces();
-    const tenantId = generateUUID();
-    store.tenants.set(tenantId, { tenantUrl, apiKey, connectedAt: new Date() });
-    res.json({ success: true, tenantId, tenantUrl, spacesCount: spaces.length });
+    res.json(await connectTenant(tenantUrl, apiKey));
   } catch (error) {
     res.status(401).json({ error: 'Failed to connect to Qlik Cloud', details: error.message });
   }
@@ -278,147 +1193,1969 @@ app.post('/api/auth/disconnect', (req, res) => {
   res.json({ success: true });
 });
 
-// Middleware
-const getQlikService = (req, res, next) => {
+function getSessionQlik(tenantId) {
+  const tenant = getSession(tenantId);
+  return tenant ? new QlikService(tenant.tenantUrl, tenant.apiKey) : null;
+}
+
+// Migrations record tenant URLs rather than session IDs, so they can be run
+// from whichever session for that tenant is connected now, or from its saved
+// profile while the profiles are unlocked
+function getTenantUrlQlik(tenantUrl, retry = {}) {
+  for (const [tenantId, tenant] of store.tenants) {
+    if (sessionExpired(tenant)) store.tenants.delete(tenantId);
+    else if (tenant.tenantUrl === tenantUrl) return new QlikService(tenant.tenantUrl, tenant.apiKey, retry);
+  }
+  const apiKey = profileApiKey(tenantUrl);
+  return apiKey ? new QlikService(tenantUrl, apiKey, retry) : null;
+}
+
+// ============================================================================
+// TENANT PROFILES
+// ============================================================================
+// Saved tenants live in profiles.json with their API keys encrypted
+// (AES-256-GCM) under a key derived from the user's passphrase with scrypt.
+// The passphrase is never stored; once unlocked, the derived key stays in
+// memory until the profiles are locked again or the app quits.
+const PROFILES_VERSION = 1;
+const PASSPHRASE_MIN_LENGTH = 8;
+// A known value encrypted with the key, to tell a wrong passphrase at unlock
+const PROFILES_CHECK = 'qlik-migration-tool';
+let profilesKey = null;
+// Kept with the key so the file can be written again if it is removed while unlocked
+let profilesSalt = null;
+
+function profilesLocked() {
+  return Object.assign(new Error('Saved tenants are locked; enter the passphrase'), { status: 401, code: 'profiles_locked' });
+}
+
+function readProfiles() {
+  try {
+    return JSON.parse(fs.readFileSync(PROFILES_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+function emptyVault(key, salt) {
+  return { version: PROFILES_VERSION, salt: salt.toString('base64'), check: encryptSecret(key, PROFILES_CHECK), profiles: [] };
+}
+
+function writeProfiles(vault) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(PROFILES_FILE, JSON.stringify(vault, null, 2), { mode: 0o600 });
+}
+
+function encryptSecret(key, text) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+  return { iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+}
+
+// Throws if the key is wrong or the data was tampered with
+function decryptSecret(key, secret) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(secret.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(secret.tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(secret.data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+// Unlocks the saved profiles, or sets the passphrase when none are saved yet
+function unlockProfiles(passphrase) {
+  if (!passphrase) throw badRequest('A passphrase is required');
+  const vault = readProfiles();
+  if (!vault) {
+    if (passphrase.length < PASSPHRASE_MIN_LENGTH) throw badRequest(`Choose a passphrase of at least ${PASSPHRASE_MIN_LENGTH} characters`);
+    const salt = crypto.randomBytes(16);
+    const key = crypto.scryptSync(passphrase, salt, 32);
+    writeProfiles(emptyVault(key, salt));
+    profilesKey = key;
+    profilesSalt = salt;
+    return;
+  }
+  const salt = Buffer.from(vault.salt, 'base64');
+  const key = crypto.scryptSync(passphrase, salt, 32);
+  try {
+    decryptSecret(key, vault.check);
+  } catch (error) {
+    throw Object.assign(new Error('Wrong passphrase'), { status: 401 });
+  }
+  profilesKey = key;
+  profilesSalt = salt;
+}
+
+// The unlocked key, unlocking first if the request carries the passphrase
+function requireProfilesKey(passphrase) {
+  if (passphrase) unlockProfiles(passphrase);
+  if (!profilesKey) throw profilesLocked();
+  return profilesKey;
+}
+
+function profileApiKey(tenantUrl) {
+  if (!profilesKey) return null;
+  const profile = readProfiles()?.profiles.find(p => p.tenantUrl === tenantUrl);
+  return profile ? decryptSecret(profilesKey, profile.apiKey) : null;
+}
+
+// Profiles without their encrypted keys
+function profilesView() {
+  const vault = readProfiles();
+  return {
+    exists: !!vault,
+    unlocked: !!profilesKey,
+    profiles: (vault?.profiles || []).map(({ apiKey, ...profile }) => profile)
+  };
+}
+
+app.get('/api/profiles', (req, res) => {
+  res.json(profilesView());
+});
+
+app.post('/api/profiles/unlock', (req, res) => {
+  try {
+    unlockProfiles(req.body.passphrase);
+    res.json(profilesView());
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.post('/api/profiles/lock', (req, res) => {
+  profilesKey = null;
+  profilesSalt = null;
+  res.json(profilesView());
+});
+
+// Checks the key against the tenant, then saves it; a profile for the same
+// tenant URL is replaced
+app.post('/api/profiles', async (req, res) => {
+  try {
+    const { tenantUrl, apiKey, passphrase } = req.body;
+    if (!tenantUrl || !apiKey) throw badRequest('tenantUrl and apiKey are required');
+    const key = requireProfilesKey(passphrase);
+    try {
+      await new QlikService(tenantUrl, apiKey).listSpaces();
+    } catch (error) {
+      return res.status(401).json({ error: 'Failed to connect to Qlik Cloud', details: error.message });
+    }
+    const vault = readProfiles() || emptyVault(key, profilesSalt);
+    const existing = vault.profiles.find(p => p.tenantUrl === tenantUrl);
+    const profile = {
+      id: existing?.id || generateUUID(),
+      name: String(req.body.name || '').trim() || tenantUrl,
+      tenantUrl,
+      apiKey: encryptSecret(key, apiKey),
+      createdAt: existing?.createdAt || new Date().toISOString(),
+      lastUsedAt: existing?.lastUsedAt || null
+    };
+    vault.profiles = [...vault.profiles.filter(p => p.id !== profile.id), profile].sort((a, b) => a.name.localeCompare(b.name));
+    writeProfiles(vault);
+    res.json({ ...profilesView(), profile: { ...profile, apiKey: undefined } });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message, code: error.code });
+  }
+});
+
+app.post('/api/profiles/:profileId/connect', async (req, res) => {
+  try {
+    const key = requireProfilesKey(req.body.passphrase);
+    const vault = readProfiles();
+    const profile = vault?.profiles.find(p => p.id === req.params.profileId);
+    if (!profile) return res.status(404).json({ error: 'Not found' });
+    let result;
+    try {
+      result = await connectTenant(profile.tenantUrl, decryptSecret(key, profile.apiKey));
+    } catch (error) {
+      return res.status(401).json({ error: `Failed to connect to ${profile.name}; the saved API key may have expired`, details: error.message });
+    }
+    profile.lastUsedAt = new Date().toISOString();
+    writeProfiles(vault);
+    res.json({ ...result, profileId: profile.id });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message, code: error.code });
+  }
+});
+
+// Deleting needs no passphrase, so a forgotten one can be recovered from by
+// removing the profiles (and with them the passphrase) and saving them again
+app.delete('/api/profiles/:profileId', (req, res) => {
+  const vault = readProfiles();
+  if (!vault?.profiles.some(p => p.id === req.params.profileId)) return res.status(404).json({ error: 'Not found' });
+  vault.profiles = vault.profiles.filter(p => p.id !== req.params.profileId);
+  writeProfiles(vault);
+  res.json(profilesView());
+});
+
+app.delete('/api/profiles', (req, res) => {
+  if (req.body?.confirm !== true) return res.status(400).json({ error: 'Forgetting all saved tenants must be confirmed' });
+  fs.rmSync(PROFILES_FILE, { force: true });
+  profilesKey = null;
+  profilesSalt = null;
+  res.json(profilesView());
+});
+
+// Middleware
+const getQlikService = (req, res, next) => {
   const tenantId = req.headers['x-tenant-id'];
-  const tenant = store.tenants.get(tenantId);
-  if (!tenant) return res.status(401).json({ error: 'Not connected' });
-  req.qlik = new QlikService(tenant.tenantUrl, tenant.apiKey);
+  const qlik = getSessionQlik(tenantId);
+  if (!qlik) return res.status(401).json({ error: 'Your session has expired or is not connected', code: 'session_expired' });
+  req.qlik = qlik;
   req.tenantId = tenantId;
   next();
 };
 
-// Spaces
-app.get('/api/spaces', getQlikService, async (req, res) => {
-  try {
-    const spaces = await req.qlik.listSpaces();
-    res.json({ spaces, total: spaces.length });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+// Listing progress, keyed by a client-chosen `loadId` query parameter so the UI
+// can show how many pages of a large space have been fetched so far. The
+// connection, file and app listings share one `loadId`, so the entry stays
+// until the last of them has finished.
+const listingProgress = new Map();
+const listingsRunning = new Map();
+
+function trackListing(req, kind) {
+  const loadId = req.query.loadId;
+  if (!loadId) return null;
+  listingsRunning.set(loadId, (listingsRunning.get(loadId) || 0) + 1);
+  return ({ pages, items }) => {
+    listingProgress.set(loadId, { ...listingProgress.get(loadId), [kind]: { pages, items } });
+  };
+}
+
+function finishListing(req) {
+  const loadId = req.query.loadId;
+  if (!loadId) return;
+  const running = (listingsRunning.get(loadId) || 1) - 1;
+  if (running > 0) {
+    listingsRunning.set(loadId, running);
+  } else {
+    listingsRunning.delete(loadId);
+    listingProgress.delete(loadId);
+  }
+}
+
+app.get('/api/listings/:loadId', (req, res) => {
+  res.json({ progress: listingProgress.get(req.params.loadId) || null });
+});
+
+// Owner names for the item filters. Users that cannot be looked up (deleted,
+// or hidden from this API key) are left out and shown by ID.
+app.get('/api/users', getQlikService, async (req, res) => {
+  const ids = [...new Set(String(req.query.ids || '').split(',').filter(Boolean))].slice(0, 200);
+  const users = {};
+  await runPool(ids, 4, async (id) => {
+    try {
+      const user = await req.qlik.getUser(id);
+      users[id] = user.name || user.email || id;
+    } catch (error) {
+      // Fall back to the ID
+    }
+  });
+  res.json({ users });
+});
+
+// Spaces
+app.get('/api/spaces', getQlikService, async (req, res) => {
+  try {
+    const spaces = await req.qlik.listSpaces();
+    res.json({ spaces, total: spaces.length });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/spaces/:spaceId', getQlikService, async (req, res) => {
+  try {
+    const space = await req.qlik.getSpace(req.params.spaceId);
+    const connections = await req.qlik.listConnections(req.params.spaceId);
+    const files = await req.qlik.listDataFiles(req.params.spaceId);
+    const totalSize = files.reduce((sum, f) => sum + (f.size || 0), 0);
+    res.json({ space, connectionCount: connections.length, fileCount: files.length, totalSize });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/spaces/:spaceId/connections', getQlikService, async (req, res) => {
+  try {
+    const connections = await req.qlik.listConnections(req.params.spaceId, trackListing(req, 'connections'));
+    res.json({ connections, total: connections.length });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  } finally {
+    finishListing(req);
+  }
+});
+
+app.get('/api/spaces/:spaceId/apps', getQlikService, async (req, res) => {
+  try {
+    const apps = await req.qlik.listApps(req.params.spaceId, trackListing(req, 'apps'));
+    res.json({ apps, total: apps.length });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  } finally {
+    finishListing(req);
+  }
+});
+
+app.get('/api/spaces/:spaceId/files', getQlikService, async (req, res) => {
+  try {
+    const files = await req.qlik.listDataFiles(req.params.spaceId, true, trackListing(req, 'files'));
+    const folders = files.filter(f => f.folder);
+    const dataFiles = files.filter(f => !f.folder);
+    res.json({ files: dataFiles, folders, total: files.length, totalSize: dataFiles.reduce((s, f) => s + (f.size || 0), 0) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  } finally {
+    finishListing(req);
+  }
+});
+
+// Space management
+const SPACE_TYPES = ['shared', 'managed'];
+
+// Selects all of a space's connections and data files. Top-level entries only;
+// folders bring their contents with them.
+const SPACE_CONTENTS = [{ type: 'connection' }, { type: 'folder', glob: '*' }, { type: 'file', glob: '*' }];
+
+function validateNewSpace(name, type) {
+  if (!name || !String(name).trim()) throw badRequest('A space name is required');
+  if (!SPACE_TYPES.includes(type)) throw badRequest(`Unsupported space type: ${type}`);
+}
+
+// Gives every user and group on the source space the same roles on the target.
+// Roles already held on the target are kept, and the target's owner is left
+// alone. User and group IDs are per tenant, so both spaces must be on one.
+async function cloneSpaceMembers(qlik, sourceSpaceId, targetSpaceId) {
+  const [source, target, targetSpace] = await Promise.all([
+    qlik.listSpaceAssignments(sourceSpaceId),
+    qlik.listSpaceAssignments(targetSpaceId),
+    qlik.getSpace(targetSpaceId)
+  ]);
+  const result = { created: 0, updated: 0, unchanged: 0, failed: [] };
+  for (const assignment of source) {
+    const existing = target.find(a => a.type === assignment.type && a.assigneeId === assignment.assigneeId);
+    const roles = [...new Set([...(existing?.roles || []), ...(assignment.roles || [])])];
+    try {
+      if (assignment.assigneeId === targetSpace.ownerId || (existing && roles.length === existing.roles.length)) {
+        result.unchanged++;
+      } else if (existing) {
+        await qlik.updateSpaceAssignment(targetSpaceId, existing.id, roles);
+        result.updated++;
+      } else {
+        await qlik.createSpaceAssignment(targetSpaceId, { type: assignment.type, assigneeId: assignment.assigneeId, roles });
+        result.created++;
+      }
+    } catch (error) {
+      result.failed.push({ type: assignment.type, assigneeId: assignment.assigneeId, roles: assignment.roles, error: error.message });
+    }
+  }
+  return result;
+}
+
+// Connection properties that make two same-named connections differ
+const COMPARED_CONNECTION_FIELDS = ['qType', 'qConnectStatement', 'qLogOn', 'qUsername', 'qArchitecture'];
+
+// Matches connections by name and data files by path. Items in both spaces are
+// reported when their size, modified time or connection properties differ.
+async function compareSpaces(qlikA, spaceIdA, qlikB, spaceIdB) {
+  const [spaceA, spaceB, connectionsA, connectionsB, filesA, filesB] = await Promise.all([
+    qlikA.getSpace(spaceIdA),
+    qlikB.getSpace(spaceIdB),
+    qlikA.listConnections(spaceIdA),
+    qlikB.listConnections(spaceIdB),
+    qlikA.listDataFiles(spaceIdA),
+    qlikB.listDataFiles(spaceIdB)
+  ]);
+  const entries = (connections, files) => new Map([
+    ...connections.map(c => [`connection:${c.qName}`, { itemType: 'connection', name: c.qName, id: c.qID, sizeBytes: 0, modified: c.updated || null, source: c }]),
+    ...files.map(f => { const item = dataFileItem(f); return [`${item.itemType}:${item.name}`, { itemType: item.itemType, name: item.name, id: f.id, sizeBytes: item.sizeBytes, modified: f.modifiedDate || null }]; })
+  ]);
+  const a = entries(connectionsA, filesA);
+  const b = entries(connectionsB, filesB);
+  const strip = ({ source, ...entry }) => entry;
+  const result = { a: { id: spaceA.id, name: spaceA.name }, b: { id: spaceB.id, name: spaceB.name }, onlyInA: [], onlyInB: [], differing: [], identical: 0 };
+
+  for (const [key, entryA] of a) {
+    const entryB = b.get(key);
+    if (!entryB) {
+      result.onlyInA.push(strip(entryA));
+      continue;
+    }
+    const differences = [];
+    if (entryA.itemType === 'file') {
+      if (entryA.sizeBytes !== entryB.sizeBytes) differences.push('size');
+      if (entryA.modified !== entryB.modified) differences.push('modified');
+    } else if (entryA.itemType === 'connection') {
+      differences.push(...COMPARED_CONNECTION_FIELDS.filter(field => (entryA.source[field] ?? null) !== (entryB.source[field] ?? null)));
+    }
+    if (differences.length) result.differing.push({ itemType: entryA.itemType, name: entryA.name, differences, a: strip(entryA), b: strip(entryB) });
+    else result.identical++;
+  }
+  result.onlyInB = [...b.keys()].filter(key => !a.has(key)).map(key => strip(b.get(key)));
+  return result;
+}
+
+app.get('/api/spaces/:spaceId/compare/:otherSpaceId', getQlikService, async (req, res) => {
+  try {
+    const otherQlik = req.query.otherTenantId ? getSessionQlik(req.query.otherTenantId) : req.qlik;
+    if (!otherQlik) return res.status(401).json({ error: 'The other tenant is not connected' });
+    res.json(await compareSpaces(req.qlik, req.params.spaceId, otherQlik, req.params.otherSpaceId));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/spaces', getQlikService, async (req, res) => {
+  try {
+    const { name, type = 'shared', description } = req.body;
+    validateNewSpace(name, type);
+    const space = await req.qlik.createSpace(name.trim(), type, description || '');
+    res.json({ space });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.patch('/api/spaces/:spaceId', getQlikService, async (req, res) => {
+  try {
+    const name = String(req.body.name || '').trim();
+    if (!name) throw badRequest('A space name is required');
+    const space = await req.qlik.renameSpace(req.params.spaceId, name);
+    res.json({ space });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/spaces/:spaceId/members', getQlikService, async (req, res) => {
+  try {
+    const members = await req.qlik.listSpaceAssignments(req.params.spaceId);
+    res.json({ members, total: members.length });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/spaces/:spaceId/members/clone', getQlikService, async (req, res) => {
+  try {
+    if (!req.body.sourceSpaceId) throw badRequest('sourceSpaceId is required');
+    res.json(await cloneSpaceMembers(req.qlik, req.body.sourceSpaceId, req.params.spaceId));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Clones a whole space in one go: creates the new space, optionally copies
+// its members, then migrates every connection and data file into it
+app.post('/api/spaces/:spaceId/clone', getQlikService, async (req, res) => {
+  try {
+    const { name, type, targetTenantId, cloneMembers } = req.body;
+    const targetQlik = targetTenantId ? getSessionQlik(targetTenantId) : req.qlik;
+    if (!targetQlik) return res.status(401).json({ error: 'Target tenant is not connected' });
+    if (cloneMembers && targetQlik.tenantUrl !== req.qlik.tenantUrl) throw badRequest('Members can only be cloned within one tenant');
+    const source = await req.qlik.getSpace(req.params.spaceId);
+    const spaceType = type || source.type;
+    validateNewSpace(name, spaceType);
+    const items = await selectItems(req.qlik, source.id, SPACE_CONTENTS);
+    if (!items.length) throw badRequest('The space has no connections or data files to clone');
+
+    const space = await targetQlik.createSpace(name.trim(), spaceType, source.description || '');
+    try {
+      const members = cloneMembers ? await cloneSpaceMembers(req.qlik, source.id, space.id) : null;
+      const { migration, items: migrationItems } = await prepareMigration({ sourceQlik: req.qlik, targetQlik, sourceSpaceId: source.id, targetSpaceId: space.id, items, options: { mode: 'copy', conflictStrategy: 'skip' }, tenantId: req.tenantId });
+      saveMigration(migration);
+      saveMigrationItems(migration.id, migrationItems);
+      const started = !migration.preflight.blocking;
+      if (started) createMigrationService(migration).executeMigration(migration, migrationItems).catch(console.error);
+      res.json({ space, members, migration, items: migrationItems, started });
+    } catch (error) {
+      error.message = `Space "${space.name}" was created, but the clone stopped: ${error.message}`;
+      throw error;
+    }
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Data file names carry their folder path ("Sales/2024/orders.qvd")
+function dataFilePath(f) {
+  return (f.name || f.baseName || '').replace(/\/+$/, '');
+}
+
+function dataFileItem(f) {
+  return { sourceId: f.id, itemType: f.folder ? 'folder' : 'file', name: dataFilePath(f), sizeBytes: f.folder ? 0 : (f.size || 0) };
+}
+
+// Adds every file and subfolder beneath each selected folder as its own item,
+// keeping their relative paths, and orders folders (shallowest first) ahead of
+// files so parents exist before their contents are copied. Apps go last.
+// Anything matching an `exclude` selector is left out of the expansion.
+function expandFolderItems(items, sourceFiles, exclude = []) {
+  const expanded = [...items];
+  const selectedIds = new Set(items.map(i => i.sourceId));
+  const files = sourceFiles.map(dataFileItem);
+  const excluded = exclusionFilter(exclude, files);
+  for (const folder of items.filter(i => i.itemType === 'folder')) {
+    const prefix = dataFilePath(folder) + '/';
+    for (const f of files) {
+      if (selectedIds.has(f.sourceId) || !f.name.startsWith(prefix) || excluded(f)) continue;
+      selectedIds.add(f.sourceId);
+      expanded.push({ ...f, parentSourceId: folder.sourceId });
+    }
+    folder.sizeBytes = 0;
+  }
+  const depth = (i) => dataFilePath(i).split('/').length;
+  return [
+    ...expanded.filter(i => i.itemType === 'connection'),
+    ...expanded.filter(i => i.itemType === 'folder').sort((a, b) => depth(a) - depth(b)),
+    ...expanded.filter(i => i.itemType === 'file'),
+    ...expanded.filter(i => i.itemType === 'app')
+  ];
+}
+
+const ITEM_TYPES = ['connection', 'folder', 'file', 'app'];
+
+// `*` and `?` stay within one folder level; `**` spans any number of them
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    if (glob.startsWith('**/', i)) {
+      source += '(?:.*/)?';
+      i += 2;
+    } else if (glob.startsWith('**', i)) {
+      source += '.*';
+      i++;
+    } else if (glob[i] === '*') {
+      source += '[^/]*';
+    } else if (glob[i] === '?') {
+      source += '[^/]';
+    } else {
+      source += glob[i].replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+// Item selectors, used by manifests and the command line. Every field given
+// must match: `type` is one of ITEM_TYPES, `name` an exact name or file path
+// and `glob` a pattern on it.
+function validateSelector(selector) {
+  if (!selector || typeof selector !== 'object') throw badRequest('Item selectors must be objects');
+  const unknown = Object.keys(selector).filter(key => !['type', 'name', 'glob'].includes(key));
+  if (unknown.length) throw badRequest(`Unknown selector field: ${unknown.join(', ')}`);
+  if (selector.type && !ITEM_TYPES.includes(selector.type)) throw badRequest(`Unknown item type: ${selector.type}`);
+}
+
+function matchesSelector(item, selector) {
+  return (!selector.type || selector.type === item.itemType) &&
+    (!selector.name || selector.name === item.name) &&
+    (!selector.glob || globToRegExp(selector.glob).test(item.name));
+}
+
+// Excluding a folder also excludes everything inside it
+function exclusionFilter(exclude, candidates) {
+  const folders = candidates.filter(i => i.itemType === 'folder' && exclude.some(s => matchesSelector(i, s))).map(i => i.name + '/');
+  return (item) => exclude.some(s => matchesSelector(item, s)) ||
+    ((item.itemType === 'file' || item.itemType === 'folder') && folders.some(prefix => item.name.startsWith(prefix)));
+}
+
+// Resolves selectors against what is in the source space now, returning items
+// shaped like the ones the wizard sends. A selector naming one exact item must
+// find it, so a typo fails instead of silently migrating less.
+async function selectItems(qlik, spaceId, include, exclude = []) {
+  [...include, ...exclude].forEach(validateSelector);
+  const types = new Set(include.flatMap(s => (s.type ? [s.type] : ITEM_TYPES)));
+  const [connections, files, apps] = await Promise.all([
+    types.has('connection') ? qlik.listConnections(spaceId) : [],
+    types.has('file') || types.has('folder') ? qlik.listDataFiles(spaceId) : [],
+    types.has('app') ? qlik.listApps(spaceId) : []
+  ]);
+  const candidates = [
+    ...connections.map(c => ({ sourceId: c.qID, itemType: 'connection', name: c.qName, sizeBytes: 0 })),
+    ...files.map(dataFileItem),
+    ...apps.map(a => ({ sourceId: a.resourceId, itemType: 'app', name: a.name, sizeBytes: a.resourceSize?.appFile || 0 }))
+  ];
+  for (const selector of include.filter(s => s.name)) {
+    if (!candidates.some(i => matchesSelector(i, selector))) throw badRequest(`No ${selector.type || 'item'} "${selector.name}" in the source space`);
+  }
+  const excluded = exclusionFilter(exclude, candidates);
+  return candidates.filter(i => include.some(s => matchesSelector(i, s)) && !excluded(i));
+}
+
+async function findSpace(qlik, ref, label) {
+  if (!ref || ref === true) throw badRequest(`${label} is required`);
+  const spaces = await qlik.listSpaces();
+  const byId = spaces.find(s => s.id === ref);
+  if (byId) return byId;
+  const byName = spaces.filter(s => s.name === ref);
+  if (byName.length === 1) return byName[0];
+  throw badRequest(byName.length ? `More than one space is named "${ref}"; use its ID` : `No space "${ref}" found`);
+}
+
+// Manifests describe a migration declaratively so it can be repeated, e.g.
+// every sprint. Spaces are given by name or ID and resolved when it runs:
+//
+//   version: 1
+//   source: { space: Dev }            # optional `tenant` for cross-tenant runs
+//   target: { space: Prod }
+//   include: [{ type: connection }, { glob: "Sales/**/*.qvd" }]
+//   exclude: [{ glob: "**/tmp_*" }]
+//   options: { conflictStrategy: rename }
+const MANIFEST_VERSION = 1;
+const MANIFEST_OPTIONS = ['mode', 'conflictStrategy', 'renameTemplate', 'bulkRenameTemplate', 'publishApps', 'maxAttempts', 'concurrency', 'dryRun'];
+
+// Accepts a parsed object or JSON/YAML text (JSON is valid YAML)
+function parseManifest(input) {
+  let manifest = input;
+  if (typeof input === 'string') {
+    try {
+      manifest = yaml.load(input);
+    } catch (error) {
+      throw badRequest(`Could not read the manifest: ${error.reason || error.message}${error.mark ? ` (line ${error.mark.line + 1})` : ''}`);
+    }
+  }
+  if (!manifest || typeof manifest !== 'object') throw badRequest('The manifest is empty');
+  if ((manifest.version || MANIFEST_VERSION) !== MANIFEST_VERSION) throw badRequest(`Unsupported manifest version: ${manifest.version}`);
+  if (!manifest.source?.space || !manifest.target?.space) throw badRequest('The manifest needs source.space and target.space');
+  if (!Array.isArray(manifest.include) || !manifest.include.length) throw badRequest('The manifest needs at least one include selector');
+  if (manifest.exclude !== undefined && !Array.isArray(manifest.exclude)) throw badRequest('exclude must be a list of selectors');
+  const unknown = Object.keys(manifest.options || {}).filter(key => !MANIFEST_OPTIONS.includes(key));
+  if (unknown.length) throw badRequest(`Unknown manifest option: ${unknown.join(', ')}`);
+  return manifest;
+}
+
+async function resolveManifest(manifest, sourceQlik, targetQlik) {
+  const sourceSpace = await findSpace(sourceQlik, manifest.source.space, 'source.space');
+  const targetSpace = await findSpace(targetQlik, manifest.target.space, 'target.space');
+  const exclude = manifest.exclude || [];
+  const items = await selectItems(sourceQlik, sourceSpace.id, manifest.include, exclude);
+  if (!items.length) throw badRequest('The manifest does not select any items');
+  return { sourceSpaceId: sourceSpace.id, targetSpaceId: targetSpace.id, items, exclude, options: manifest.options || {} };
+}
+
+// The manifest that repeats a migration: its top-level selections (folder
+// contents are picked up again when it runs) and the options that shape a run
+function buildManifest(migration, items) {
+  const side = (tenant, space) => (migration.crossTenant ? { tenant, space } : { space });
+  const options = {};
+  MANIFEST_OPTIONS.filter(key => key !== 'dryRun' && migration.options?.[key] != null).forEach(key => { options[key] = migration.options[key]; });
+  return {
+    version: MANIFEST_VERSION,
+    source: side(migration.tenantUrl, migration.sourceSpaceName),
+    target: side(migration.targetTenantUrl, migration.targetSpaceName),
+    include: items.filter(i => !i.parentSourceId).map(i => ({ type: i.itemType, name: i.name })),
+    ...(migration.manifest?.exclude?.length ? { exclude: migration.manifest.exclude } : {}),
+    options
+  };
+}
+
+const CONFLICT_STRATEGIES = ['skip', 'rename', 'overwrite'];
+const DEFAULT_RENAME_TEMPLATE = '{base}_copy{ext}';
+
+// Renders a rename template for the last segment of `name`, keeping its folder
+// path. Tokens: {base}, {ext} (files only, with the dot), {n}, {date},
+// {sourceSpace} and {targetSpace}.
+function applyNameTemplate(template, name, itemType, tokens, n = 1) {
+  const slash = name.lastIndexOf('/');
+  const dir = name.slice(0, slash + 1);
+  const leaf = name.slice(slash + 1);
+  const dot = itemType === 'file' ? leaf.lastIndexOf('.') : -1;
+  const values = { ...tokens, base: dot > 0 ? leaf.slice(0, dot) : leaf, ext: dot > 0 ? leaf.slice(dot) : '', n: String(n) };
+  const rendered = template.replace(/\{(\w+)\}/g, (match, token) => (token in values ? values[token] : match));
+  if (!rendered.trim() || rendered.includes('/')) throw new Error(`Rename template "${template}" does not produce a valid name`);
+  return dir + rendered;
+}
+
+// The first rendering of `template` not in `taken`. Templates without {n} get
+// "_2", "_3", ... inserted before the extension once the plain name is taken.
+function nextFreeName(template, name, itemType, tokens, taken) {
+  const counted = template.includes('{n}') ? template : template.replace(/\{ext\}|$/, (ext) => `_{n}${ext}`);
+  let candidate = applyNameTemplate(template, name, itemType, tokens, 1);
+  for (let n = 2; taken.has(candidate) || candidate === name; n++) {
+    candidate = applyNameTemplate(counted, name, itemType, tokens, n);
+  }
+  return candidate;
+}
+
+// Works out each item's name in the target space when the migration is
+// created, so the plan shows exactly what a run will do. The optional bulk
+// template applies to every item; names that are then already taken become
+// conflicts, and their rename alternative is the next free name. Items inside
+// a folder follow the folder's final name, conflict rename included, so they
+// must come after it (expandFolderItems queues folders first). A resolution
+// picked on the Review step is kept while the item still conflicts.
+function assignTargetNames(items, existing, options, tokens) {
+  const names = { connection: existing.connections, file: existing.files, app: existing.apps || new Map() };
+  const taken = Object.fromEntries(Object.entries(names).map(([kind, map]) => [kind, new Set(map.keys())]));
+  const folderTargets = new Map();
+  for (const item of items) {
+    const kind = item.itemType === 'folder' ? 'file' : item.itemType;
+    let name = item.name;
+    for (let slash = name.lastIndexOf('/'); kind === 'file' && slash > 0; slash = item.name.lastIndexOf('/', slash - 1)) {
+      const ancestor = item.name.slice(0, slash);
+      if (folderTargets.has(ancestor)) {
+        name = folderTargets.get(ancestor) + item.name.slice(slash);
+        break;
+      }
+    }
+    if (options.bulkRenameTemplate) name = applyNameTemplate(options.bulkRenameTemplate, name, item.itemType, tokens);
+
+    const existingId = names[kind].get(name);
+    item.plannedName = name;
+    item.conflictType = existingId ? 'NAME_EXISTS' : null;
+    item.conflictResolution = existingId ? (item.resolutionChosen ? item.conflictResolution : options.conflictStrategy) : null;
+    item.conflictTargetId = existingId || null;
+    item.renameTo = existingId ? nextFreeName(options.renameTemplate || DEFAULT_RENAME_TEMPLATE, name, item.itemType, tokens, taken[kind]) : null;
+    if (item.renameTo) taken[kind].add(item.renameTo);
+    taken[kind].add(name);
+    item.targetName = resolveTargetName(item);
+    if (item.itemType === 'folder') folderTargets.set(item.name, item.targetName);
+  }
+}
+
+// Rename template tokens, fixed when the migration was created
+function nameTokens(migration) {
+  return {
+    date: migration.createdAt.slice(0, 10),
+    sourceSpace: migration.sourceSpaceName.replace(/\//g, '-'),
+    targetSpace: migration.targetSpaceName.replace(/\//g, '-')
+  };
+}
+
+function resolveTargetName(item) {
+  if (item.conflictType && item.conflictResolution === 'rename') return item.renameTo;
+  return item.plannedName || item.name;
+}
+
+function buildPlan(items) {
+  const planItems = items.map(item => ({
+    itemId: item.id,
+    itemType: item.itemType,
+    sourceName: item.name,
+    action: item.conflictType ? item.conflictResolution : 'create',
+    targetName: item.conflictType && item.conflictResolution === 'skip' ? null : (item.targetName || item.name),
+    conflict: item.conflictType,
+    sizeBytes: item.sizeBytes || 0
+  }));
+  const actions = {};
+  planItems.forEach(i => { actions[i.action] = (actions[i.action] || 0) + 1; });
+  const transferBytes = planItems.filter(i => i.action !== 'skip').reduce((sum, i) => sum + i.sizeBytes, 0);
+  return { items: planItems, summary: { total: planItems.length, actions, conflicts: planItems.filter(i => i.conflict).length, transferBytes } };
+}
+
+function toCsv(rows, columns) {
+  const cell = (v) => {
+    const text = v === null || v === undefined ? '' : String(v);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns.join(','), ...rows.map(r => columns.map(c => cell(r[c])).join(','))].join('\n') + '\n';
+}
+
+// Space roles that can add content (and, in move mode, delete it from the source)
+const SPACE_WRITE_ROLES = { shared: ['producer', 'facilitator'], managed: ['publisher', 'facilitator'] };
+
+// Connection types that cannot be copied into another space
+const UNSUPPORTED_CONNECTION_TYPES = {
+  'qix-datafiles.exe': 'every space has its own built-in DataFiles connection'
+};
+
+// null when the space does not report the caller's roles
+function canWriteToSpace(space, userId) {
+  if (space.ownerId === userId) return true;
+  if (space.type === 'personal') return false;
+  if (!space.meta?.roles) return null;
+  return space.meta.roles.some(role => (SPACE_WRITE_ROLES[space.type] || []).includes(role));
+}
+
+// Checks whether a migration can actually run before it is started: access to
+// both spaces, the target's data-files connection, file sizes against the
+// tenant's quota, and connection types. Any 'error' check blocks /start. A
+// check that cannot be carried out is reported as a warning instead.
+async function runPreflight(migration, items, sourceQlik, targetQlik) {
+  const checks = [];
+  const add = (id, level, message) => checks.push({ id, level, message });
+  const attempt = async (id, label, check) => {
+    try {
+      await check();
+    } catch (error) {
+      add(id, 'warning', `Could not check ${label}: ${error.message}`);
+    }
+  };
+  const mb = (bytes) => `${(bytes / 1048576).toFixed(1)} MB`;
+  const running = items.filter(i => !(i.conflictType && i.conflictResolution === 'skip'));
+  const files = running.filter(i => i.itemType === 'file');
+
+  await attempt('permissions', 'space permissions', async () => {
+    const [sourceUser, targetUser, sourceSpace, targetSpace] = await Promise.all([
+      sourceQlik.getCurrentUser(), targetQlik.getCurrentUser(),
+      sourceQlik.getSpace(migration.sourceSpaceId), targetQlik.getSpace(migration.targetSpaceId)
+    ]);
+    const spaces = [['target', targetSpace, targetUser, 'add content to']];
+    if (migration.options?.mode === 'move') spaces.push(['source', sourceSpace, sourceUser, 'delete content from']);
+    for (const [side, space, user, action] of spaces) {
+      const allowed = canWriteToSpace(space, user.id);
+      if (allowed === null) add(`permissions.${side}`, 'warning', `Your roles in ${space.name} are not reported; make sure you can ${action} it`);
+      else if (!allowed) add(`permissions.${side}`, 'error', `Your API key cannot ${action} ${space.name}; it needs one of these roles: ${(SPACE_WRITE_ROLES[space.type] || ['owner']).join(', ')}`);
+      else add(`permissions.${side}`, 'ok', `You can ${action} ${space.name}`);
+    }
+  });
+
+  if (running.some(i => i.itemType === 'file' || i.itemType === 'folder')) {
+    await attempt('dataFilesConnection', 'the target data-files connection', async () => {
+      if (await targetQlik.getDataFilesConnectionId(migration.targetSpaceId)) add('dataFilesConnection', 'ok', 'The target space has a data-files connection');
+      else add('dataFilesConnection', 'error', `${migration.targetSpaceName} has no data-files connection, so files cannot be copied into it`);
+    });
+  }
+
+  if (files.length) {
+    await attempt('quota', 'the data-file quota', async () => {
+      const quotas = await targetQlik.getDataFileQuotas();
+      const totalBytes = files.reduce((sum, i) => sum + (i.sizeBytes || 0), 0);
+      const maxFileSize = Math.max(quotas.maxFileSize || 0, quotas.maxLargeFileSize || 0);
+      const tooLarge = maxFileSize ? files.filter(i => i.sizeBytes > maxFileSize) : [];
+      const extensions = (quotas.allowedExtensions || []).map(e => e.toLowerCase().replace(/^\./, ''));
+      const blockedTypes = extensions.length ? files.filter(i => !extensions.includes(path.posix.extname(i.name).slice(1).toLowerCase())) : [];
+      const free = quotas.maxSize > 0 ? quotas.maxSize - (quotas.size || 0) : null;
+      const names = (list) => list.slice(0, 5).map(i => i.name).join(', ') + (list.length > 5 ? ` and ${list.length - 5} more` : '');
+
+      if (tooLarge.length) add('quota.fileSize', 'error', `Larger than the ${mb(maxFileSize)} file size limit: ${names(tooLarge)}`);
+      if (blockedTypes.length) add('quota.fileType', 'error', `File types not allowed on the target tenant: ${names(blockedTypes)}`);
+      if (free !== null && totalBytes > free) add('quota.space', 'error', `${mb(totalBytes)} to copy, but only ${mb(free)} of data-file quota is left`);
+      else add('quota.space', 'ok', `${mb(totalBytes)} to copy${free !== null ? `, ${mb(free)} of quota left` : ''}`);
+    });
+  }
+
+  const connections = running.filter(i => i.itemType === 'connection');
+  if (connections.length) {
+    await attempt('connections', 'connection types', async () => {
+      const sources = new Map((await sourceQlik.listConnections(migration.sourceSpaceId)).map(c => [c.qID, c]));
+      for (const item of connections) {
+        const source = sources.get(item.sourceId);
+        if (!source) add(`connections.${item.id}`, 'error', `${item.name} no longer exists in the source space`);
+        else if (UNSUPPORTED_CONNECTION_TYPES[source.qType]) add(`connections.${item.id}`, 'error', `${item.name} cannot be copied: ${UNSUPPORTED_CONNECTION_TYPES[source.qType]}`);
+        else if (migration.crossTenant && (source.qCredentialsID || source.qLogOn)) add(`connections.${item.id}`, 'warning', `${item.name} uses stored credentials, which must be re-entered in the target tenant`);
+      }
+      if (!checks.some(c => c.id.startsWith('connections.') && c.level === 'error')) add('connections', 'ok', `${connections.length} connection(s) can be copied`);
+    });
+  }
+
+  return { checkedAt: new Date().toISOString(), checks, blocking: checks.some(c => c.level === 'error') };
+}
+
+// Migrations
+// Errors a request can never get past as sent; routes answer them with a 400
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+// Validates the options, expands selected folders, works out every item's name
+// in the target space and runs the pre-flight checks. Shared by the API and the
+// command line; the caller decides whether to save the result.
+async function prepareMigration({ sourceQlik, targetQlik, sourceSpaceId, targetSpaceId, items, options, exclude = [], tenantId = null }) {
+  if (!sourceSpaceId || !targetSpaceId || !items?.length) throw badRequest('Missing required fields');
+
+  const mode = options?.mode || 'copy';
+  if (!['copy', 'move'].includes(mode)) throw badRequest(`Unsupported mode: ${mode}`);
+  const conflictStrategy = options?.conflictStrategy || 'skip';
+  if (!CONFLICT_STRATEGIES.includes(conflictStrategy)) throw badRequest(`Unsupported conflict strategy: ${conflictStrategy}`);
+  if (options?.maxAttempts !== undefined && !(Number.isInteger(options.maxAttempts) && options.maxAttempts >= 1 && options.maxAttempts <= 10)) {
+    throw badRequest('maxAttempts must be a whole number from 1 to 10');
+  }
+  const limits = Object.values(options?.concurrency || {});
+  if (limits.some(n => !(Number.isInteger(n) && n >= 1 && n <= 16))) {
+    throw badRequest('Concurrency limits must be whole numbers from 1 to 16');
+  }
+
+  const sourceSpace = await sourceQlik.getSpace(sourceSpaceId);
+  const targetSpace = await targetQlik.getSpace(targetSpaceId);
+
+  // Apps can only enter a managed space by being published, and only a managed space can be published to
+  if (items.some(i => i.itemType === 'app') && (targetSpace.type === 'managed') !== !!options?.publishApps) {
+    throw badRequest(options?.publishApps ? 'Apps can only be published to a managed space' : 'Apps must be published to reach a managed space; enable publishApps');
+  }
+
+  if (items.some(i => i.itemType === 'folder')) {
+    items = expandFolderItems(items.map(i => ({ ...i })), await sourceQlik.listDataFiles(sourceSpaceId), exclude);
+  }
+
+  const existing = await targetQlik.getExistingNames(targetSpaceId);
+
+  const migrationId = generateUUID();
+  const migration = {
+    id: migrationId,
+    tenantId,
+    tenantUrl: sourceQlik.tenantUrl,
+    targetTenantUrl: targetQlik.tenantUrl,
+    crossTenant: sourceQlik.tenantUrl !== targetQlik.tenantUrl,
+    sourceSpaceId,
+    sourceSpaceName: sourceSpace.name,
+    targetSpaceId,
+    targetSpaceName: targetSpace.name,
+    // Dry runs stay 'planned' until someone signs off on the plan
+    status: options?.dryRun ? 'planned' : 'created',
+    options: { ...options, mode, conflictStrategy, dryRun: !!options?.dryRun, publishApps: !!options?.publishApps },
+    progress: { total: items.length, completed: 0, failed: 0, skipped: 0, percentage: 0 },
+    createdAt: new Date().toISOString()
+  };
+
+  const migrationItems = items.map(item => ({
+    id: generateUUID(),
+    migrationId,
+    sourceId: item.sourceId,
+    itemType: item.itemType,
+    name: item.name,
+    sizeBytes: item.sizeBytes || 0,
+    parentSourceId: item.parentSourceId || null,
+    status: 'pending'
+  }));
+  try {
+    assignTargetNames(migrationItems, existing, migration.options, nameTokens(migration));
+  } catch (error) {
+    throw badRequest(error.message);
+  }
+  migration.preflight = await runPreflight(migration, migrationItems, sourceQlik, targetQlik);
+
+  return { migration, items: migrationItems };
+}
+
+// Takes either the wizard's selections or a `manifest` (object or JSON/YAML
+// text), whose space names and selectors are resolved against the tenants now
+app.post('/api/migrations', getQlikService, async (req, res) => {
+  try {
+    const { sourceTenantId, targetTenantId } = req.body;
+    const manifest = req.body.manifest ? parseManifest(req.body.manifest) : null;
+    const tenantQlik = (url, tenantId) => (url ? getTenantUrlQlik(url) : tenantId ? getSessionQlik(tenantId) : req.qlik);
+    const sourceQlik = tenantQlik(manifest?.source.tenant, sourceTenantId);
+    const targetQlik = tenantQlik(manifest?.target.tenant, targetTenantId);
+    if (!sourceQlik || !targetQlik) {
+      return res.status(401).json({ error: 'Source or target tenant is not connected' });
+    }
+
+    const selection = manifest ? await resolveManifest(manifest, sourceQlik, targetQlik) : req.body;
+    const { migration, items: migrationItems } = await prepareMigration({ sourceQlik, targetQlik, ...selection, tenantId: req.tenantId });
+    if (manifest) migration.manifest = manifest;
+    saveMigration(migration);
+    saveMigrationItems(migration.id, migrationItems);
+
+    res.json({ migration, items: migrationItems, plan: buildPlan(migrationItems), preflight: migration.preflight, conflicts: migrationItems.filter(i => i.conflictType).map(i => ({ name: i.plannedName, type: i.conflictType, targetId: i.conflictTargetId })) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/migrations/:migrationId', (req, res) => {
+  const migration = store.migrations.get(req.params.migrationId);
+  const items = store.migrationItems.get(req.params.migrationId);
+  if (!migration) return res.status(404).json({ error: 'Not found' });
+  res.json({ migration, items, plan: buildPlan(items || []) });
+});
+
+// A manifest that repeats this migration, to keep as a template
+app.get('/api/migrations/:migrationId/manifest', (req, res) => {
+  const migration = store.migrations.get(req.params.migrationId);
+  if (!migration) return res.status(404).json({ error: 'Not found' });
+  const manifest = buildManifest(migration, store.migrationItems.get(migration.id) || []);
+  const fileName = `migration-manifest-${migration.sourceSpaceName.replace(/[^\w-]+/g, '_')}`;
+  if (req.query.format === 'yaml') {
+    res.setHeader('Content-Type', 'text/yaml');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.yaml"`);
+    return res.send(yaml.dump(manifest));
+  }
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}.json"`);
+  res.json(manifest);
+});
+
+app.get('/api/migrations/:migrationId/plan', (req, res) => {
+  const migration = store.migrations.get(req.params.migrationId);
+  const items = store.migrationItems.get(req.params.migrationId);
+  if (!migration) return res.status(404).json({ error: 'Not found' });
+  const plan = buildPlan(items || []);
+  const fileName = `migration-plan-${migration.id}`;
+  if (req.query.format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+    return res.send(toCsv(plan.items, ['itemType', 'sourceName', 'action', 'targetName', 'conflict', 'sizeBytes']));
+  }
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}.json"`);
+  res.json({
+    migrationId: migration.id,
+    sourceSpace: { id: migration.sourceSpaceId, name: migration.sourceSpaceName },
+    targetSpace: { id: migration.targetSpaceId, name: migration.targetSpaceName },
+    options: migration.options,
+    approval: migration.approval || null,
+    generatedAt: new Date().toISOString(),
+    ...plan
+  });
+});
+
+// Change how a single conflicting item is resolved before the run starts
+app.patch('/api/migrations/:migrationId/items/:itemId', async (req, res) => {
+  const migration = store.migrations.get(req.params.migrationId);
+  const items = store.migrationItems.get(req.params.migrationId);
+  if (!migration) return res.status(404).json({ error: 'Not found' });
+  if (!['planned', 'created'].includes(migration.status)) return res.status(400).json({ error: 'Migration has already started' });
+  const item = items.find(i => i.id === req.params.itemId);
+  if (!item) return res.status(404).json({ error: 'Item not found' });
+  if (!item.conflictType) return res.status(400).json({ error: 'Item has no conflict to resolve' });
+  const { conflictResolution } = req.body || {};
+  if (!CONFLICT_STRATEGIES.includes(conflictResolution)) {
+    return res.status(400).json({ error: `Unsupported conflict strategy: ${conflictResolution}` });
+  }
+
+  item.conflictResolution = conflictResolution;
+  item.resolutionChosen = true;
+  if (item.itemType === 'folder') {
+    // Everything inside follows the folder's new name, which can add or clear
+    // conflicts further down, so the names are worked out again
+    const qliks = getMigrationQliks(migration);
+    if (!qliks) return res.status(400).json(notConnectedError(migration));
+    try {
+      assignTargetNames(items, await qliks.target.getExistingNames(migration.targetSpaceId), migration.options, nameTokens(migration));
+    } catch (error) {
+      return res.status(error.status || 500).json({ error: error.message });
+    }
+  } else {
+    item.targetName = resolveTargetName(item);
+  }
+  // A changed plan needs a fresh sign-off
+  if (migration.approval) {
+    migration.approval = null;
+    migration.status = 'planned';
+    saveMigration(migration);
+  }
+  if (item.itemType === 'folder') saveMigrationItems(migration.id, items);
+  else saveMigrationItem(item);
+  res.json({ migration, items, plan: buildPlan(items) });
+});
+
+// Sign off on a dry-run plan so it can be started
+app.post('/api/migrations/:migrationId/approve', (req, res) => {
+  const migration = store.migrations.get(req.params.migrationId);
+  if (!migration) return res.status(404).json({ error: 'Not found' });
+  if (migration.status !== 'planned') return res.status(400).json({ error: 'Only dry-run plans need approval' });
+  if (!req.body?.approvedBy) return res.status(400).json({ error: 'approvedBy is required' });
+  migration.approval = { approvedBy: req.body.approvedBy, approvedAt: new Date().toISOString() };
+  migration.status = 'created';
+  saveMigration(migration);
+  res.json({ migration, message: 'Approved' });
+});
+
+// Server-Sent Events: a snapshot first, then item, progress and done events
+// as the run advances. The stream ends once the migration stops running.
+app.get('/api/migrations/:migrationId/events', (req, res) => {
+  const migrationId = req.params.migrationId;
+  const migration = store.migrations.get(migrationId);
+  if (!migration) return res.status(404).json({ error: 'Not found' });
+
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive' });
+  const send = (event) => res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  send({ type: 'snapshot', migration, items: store.migrationItems.get(migrationId) || [] });
+  if (migration.status !== 'running') {
+    send({ type: 'done', migration });
+    return res.end();
+  }
+
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const onEvent = (event) => {
+    send(event);
+    if (event.type === 'done') res.end();
+  };
+  migrationEvents.on(migrationId, onEvent);
+  res.on('close', () => {
+    clearInterval(keepAlive);
+    migrationEvents.off(migrationId, onEvent);
+  });
+});
+
+app.get('/api/migrations', (req, res) => {
+  // Match on tenant URL rather than session ID so runs from earlier launches show up
+  const tenant = getSession(req.headers['x-tenant-id']);
+  const migrations = Array.from(store.migrations.values())
+    .filter(m => tenant && !m.batchId && (m.tenantUrl === tenant.tenantUrl || m.targetTenantUrl === tenant.tenantUrl))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  res.json({ migrations, total: migrations.length });
+});
+
+// Source and target services for a stored migration, or null if either tenant
+// is not connected in this session
+function getMigrationQliks(migration) {
+  const retry = migration.options?.maxAttempts ? { maxAttempts: migration.options.maxAttempts } : {};
+  const source = getTenantUrlQlik(migration.tenantUrl, retry);
+  const target = migration.crossTenant ? getTenantUrlQlik(migration.targetTenantUrl, retry) : source;
+  return source && target ? { source, target } : null;
+}
+
+// Builds the service for a migration from the currently connected sessions of
+// its source and target tenants, or returns null if either is not connected
+function createMigrationService(migration) {
+  const qliks = getMigrationQliks(migration);
+  if (!qliks) return null;
+  const { source, target } = qliks;
+  return new MigrationService(source, (progress) => {
+    const m = store.migrations.get(migration.id);
+    if (m) { m.progress = progress; store.migrations.set(migration.id, m); }
+  }, migration.crossTenant ? target : null);
+}
+
+function notConnectedError(migration) {
+  const urls = migration.crossTenant ? `${migration.tenantUrl} and ${migration.targetTenantUrl}` : migration.tenantUrl;
+  return { error: `Connect to ${urls} to run this migration` };
+}
+
+// Runs the pre-flight checks again, e.g. after roles or quotas were fixed
+app.post('/api/migrations/:migrationId/preflight', getQlikService, async (req, res) => {
+  const migration = store.migrations.get(req.params.migrationId);
+  const items = store.migrationItems.get(req.params.migrationId);
+  if (!migration) return res.status(404).json({ error: 'Not found' });
+  if (!['planned', 'created'].includes(migration.status)) return res.status(400).json({ error: 'Already started' });
+  const qliks = getMigrationQliks(migration);
+  if (!qliks) return res.status(400).json(notConnectedError(migration));
+
+  try {
+    migration.preflight = await runPreflight(migration, items, qliks.source, qliks.target);
+    saveMigration(migration);
+    res.json({ migration, preflight: migration.preflight });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/migrations/:migrationId/start', getQlikService, async (req, res) => {
+  const migration = store.migrations.get(req.params.migrationId);
+  const items = store.migrationItems.get(req.params.migrationId);
+  if (!migration) return res.status(404).json({ error: 'Not found' });
+  if (migration.status === 'planned') return res.status(400).json({ error: 'Dry-run plan must be approved before starting' });
+  if (migration.status !== 'created') return res.status(400).json({ error: 'Already started' });
+  if (migration.batchId) return res.status(400).json({ error: 'This migration is part of a batch; start the batch instead' });
+  if (migration.preflight?.blocking) return res.status(400).json({ error: 'Pre-flight checks found blocking problems', preflight: migration.preflight });
+  if (migration.options?.mode === 'move' && req.body?.confirmMove !== true) {
+    return res.status(400).json({ error: 'Move migrations delete source items and must be confirmed' });
+  }
+  const svc = createMigrationService(migration);
+  if (!svc) return res.status(400).json(notConnectedError(migration));
+
+  svc.executeMigration(migration, items).catch(console.error);
+
+  res.json({ migration, message: 'Started' });
+});
+
+// Re-run failed (and optionally skipped) items of a finished migration
+app.post('/api/migrations/:migrationId/retry', getQlikService, (req, res) => {
+  const migration = store.migrations.get(req.params.migrationId);
+  const items = store.migrationItems.get(req.params.migrationId);
+  if (!migration) return res.status(404).json({ error: 'Not found' });
+  if (['planned', 'created', 'running'].includes(migration.status)) return res.status(400).json({ error: 'Migration has not finished' });
+  const svc = createMigrationService(migration);
+  if (!svc) return res.status(400).json(notConnectedError(migration));
+
+  // Items still pending were never reached by a run that stopped early. Skipped
+  // items are retried only if the run skipped them (e.g. on cancel), not when a
+  // conflict was resolved as skip on Review.
+  const conflictSkip = (i) => i.conflictType && i.conflictResolution === 'skip';
+  const retryItems = items.filter(i => i.status === 'failed' || i.status === 'pending' || (req.body?.includeSkipped && i.status === 'skipped' && !conflictSkip(i)));
+  if (retryItems.length === 0) return res.status(400).json({ error: 'No items to retry' });
+  if (migration.options?.mode === 'move' && req.body?.confirmMove !== true) {
+    return res.status(400).json({ error: 'Move migrations delete source items and must be confirmed' });
   }
+
+  retryItems.forEach(item => {
+    item.status = 'pending';
+    item.errorMessage = null;
+    item.startedAt = null;
+    item.completedAt = null;
+  });
+  migration.tenantId = req.tenantId;
+  saveMigrationItems(migration.id, items);
+  svc.executeMigration(migration, items).catch(console.error);
+
+  res.json({ migration, retried: retryItems.length, message: 'Retry started' });
 });
 
-app.get('/api/spaces/:spaceId', getQlikService, async (req, res) => {
-  try {
-    const space = await req.qlik.getSpace(req.params.spaceId);
-    const connections = await req.qlik.listConnections(req.params.spaceId);
-    const files = await req.qlik.listDataFiles(req.params.spaceId);
-    const totalSize = files.reduce((sum, f) => sum + (f.size || 0), 0);
-    res.json({ space, connectionCount: connections.length, fileCount: files.length, totalSize });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+// Continue the pending items of a run that was interrupted by a shutdown
+app.post('/api/migrations/:migrationId/resume', getQlikService, (req, res) => {
+  const migration = store.migrations.get(req.params.migrationId);
+  const items = store.migrationItems.get(req.params.migrationId);
+  if (!migration) return res.status(404).json({ error: 'Not found' });
+  if (migration.status !== 'interrupted') return res.status(400).json({ error: 'Only interrupted migrations can be resumed' });
+  if (migration.options?.mode === 'move' && req.body?.confirmMove !== true) {
+    return res.status(400).json({ error: 'Move migrations delete source items and must be confirmed' });
   }
+  const svc = createMigrationService(migration);
+  if (!svc) return res.status(400).json(notConnectedError(migration));
+
+  migration.tenantId = req.tenantId;
+  svc.executeMigration(migration, items).catch(console.error);
+
+  res.json({ migration, message: 'Resumed' });
 });
 
-app.get('/api/spaces/:spaceId/connections', getQlikService, async (req, res) => {
+function verificationReport(migration, items) {
+  return {
+    verification: migration.verification || null,
+    items: items.filter(i => i.verification).map(i => ({
+      itemId: i.id,
+      itemType: i.itemType,
+      name: i.name,
+      targetName: i.targetName || i.name,
+      targetId: i.targetId,
+      ...i.verification
+    }))
+  };
+}
+
+app.get('/api/migrations/:migrationId/verification', (req, res) => {
+  const migration = store.migrations.get(req.params.migrationId);
+  if (!migration) return res.status(404).json({ error: 'Not found' });
+  res.json(verificationReport(migration, store.migrationItems.get(req.params.migrationId) || []));
+});
+
+// Verifies a finished migration again, e.g. after fixing items by hand
+app.post('/api/migrations/:migrationId/verify', getQlikService, async (req, res) => {
+  const migration = store.migrations.get(req.params.migrationId);
+  const items = store.migrationItems.get(req.params.migrationId);
+  if (!migration) return res.status(404).json({ error: 'Not found' });
+  if (!['completed', 'failed', 'cancelled', 'interrupted'].includes(migration.status)) return res.status(400).json({ error: 'Migration has not finished' });
+  const svc = createMigrationService(migration);
+  if (!svc) return res.status(400).json(notConnectedError(migration));
+
+  await svc.verifyMigration(migration, items);
+  saveMigration(migration);
+  saveMigrationItems(migration.id, items);
+  res.json({ migration, ...verificationReport(migration, items) });
+});
+
+// Deletes the items a finished migration created in the target space
+app.post('/api/migrations/:migrationId/rollback', getQlikService, (req, res) => {
+  const migration = store.migrations.get(req.params.migrationId);
+  const items = store.migrationItems.get(req.params.migrationId);
+  if (!migration) return res.status(404).json({ error: 'Not found' });
+  if (!['completed', 'failed', 'cancelled', 'interrupted'].includes(migration.status)) return res.status(400).json({ error: 'Migration has not finished' });
+  if (migration.rollback?.status === 'running') return res.status(400).json({ error: 'Rollback is already running' });
+  if (req.body?.confirm !== true) return res.status(400).json({ error: 'Rollback deletes items from the target space and must be confirmed' });
+  const svc = createMigrationService(migration);
+  if (!svc) return res.status(400).json(notConnectedError(migration));
+
+  svc.rollbackMigration(migration, items).catch(console.error);
+
+  res.json({ migration, message: 'Rollback started' });
+});
+
+app.get('/api/migrations/:migrationId/rollback', (req, res) => {
+  const migration = store.migrations.get(req.params.migrationId);
+  if (!migration) return res.status(404).json({ error: 'Not found' });
+  const items = (store.migrationItems.get(req.params.migrationId) || []).filter(i => i.rollback);
+  res.json({ rollback: migration.rollback || null, items: items.map(i => ({ itemId: i.id, itemType: i.itemType, name: i.targetName || i.name, targetId: i.targetId, ...i.rollback })) });
+});
+
+// Load-script rewrites for migrated apps: a preview of the changed lines first,
+// then only the apps that were approved are saved
+app.post('/api/migrations/:migrationId/script-rewrites', getQlikService, async (req, res) => {
+  const migration = store.migrations.get(req.params.migrationId);
+  const items = store.migrationItems.get(req.params.migrationId);
+  if (!migration) return res.status(404).json({ error: 'Not found' });
+  if (!['completed', 'failed', 'cancelled'].includes(migration.status)) return res.status(400).json({ error: 'Migration has not finished' });
+  const svc = createMigrationService(migration);
+  if (!svc) return res.status(400).json(notConnectedError(migration));
+
   try {
-    const connections = await req.qlik.listConnections(req.params.spaceId);
-    res.json({ connections, total: connections.length });
+    migration.scriptRewrites = await svc.previewScriptRewrites(migration, items);
+    migration.scriptRewriteApproval = null;
+    saveMigration(migration);
+    res.json({ migration, rewrites: migration.scriptRewrites });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.get('/api/spaces/:spaceId/files', getQlikService, async (req, res) => {
+app.post('/api/migrations/:migrationId/script-rewrites/apply', getQlikService, async (req, res) => {
+  const migration = store.migrations.get(req.params.migrationId);
+  const items = store.migrationItems.get(req.params.migrationId);
+  if (!migration) return res.status(404).json({ error: 'Not found' });
+  if (!migration.scriptRewrites?.some(r => r.status === 'pending')) return res.status(400).json({ error: 'No script changes are waiting for approval' });
+  if (!req.body?.approvedBy) return res.status(400).json({ error: 'approvedBy is required' });
+  const appIds = req.body.appIds || migration.scriptRewrites.map(r => r.appId);
+  const svc = createMigrationService(migration);
+  if (!svc) return res.status(400).json(notConnectedError(migration));
+
   try {
-    const files = await req.qlik.listDataFiles(req.params.spaceId);
-    const folders = files.filter(f => f.folder);
-    const dataFiles = files.filter(f => !f.folder);
-    res.json({ files: dataFiles, folders, total: files.length, totalSize: dataFiles.reduce((s, f) => s + (f.size || 0), 0) });
+    migration.scriptRewriteApproval = { approvedBy: req.body.approvedBy, approvedAt: new Date().toISOString(), appIds };
+    await svc.applyScriptRewrites(migration, items, appIds);
+    saveMigration(migration);
+    res.json({ migration, rewrites: migration.scriptRewrites });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Migrations
-app.post('/api/migrations', getQlikService, async (req, res) => {
-  try {
-    const { sourceSpaceId, targetSpaceId, items, options } = req.body;
-    if (!sourceSpaceId || !targetSpaceId || !items?.length) {
-      return res.status(400).json({ error: 'Missing required fields' });
+app.post('/api/migrations/:migrationId/cancel', (req, res) => {
+  const migration = store.migrations.get(req.params.migrationId);
+  if (!migration) return res.status(404).json({ error: 'Not found' });
+  if (migration.status !== 'running') return res.status(409).json({ error: `Only a running migration can be cancelled; this one is ${migration.status}` });
+  migration.status = 'cancelled';
+  saveMigration(migration);
+  res.json({ migration, message: 'Cancelled' });
+});
+
+// Batches run several source → target migrations as one job. Each pair is an
+// ordinary migration (so verification and rollback work per pair) tagged with
+// the batch ID; pairs run one after another.
+async function prepareBatchPair(pair, sourceQlik, targetQlik, options, tenantId) {
+  const source = await findSpace(sourceQlik, pair.sourceSpace, 'sourceSpace');
+  const target = await findSpace(targetQlik, pair.targetSpace, 'targetSpace');
+  const exclude = pair.exclude || [];
+  let items = pair.items;
+  if (!items?.length) {
+    // "Everything" takes apps too when they can go to this target as configured
+    const apps = (target.type === 'managed') === !!options.publishApps ? [{ type: 'app' }] : [];
+    items = await selectItems(sourceQlik, source.id, pair.include?.length ? pair.include : [...SPACE_CONTENTS, ...apps], exclude);
+  }
+  if (!items.length) throw badRequest(`Nothing to migrate from ${source.name}`);
+  return await prepareMigration({ sourceQlik, targetQlik, sourceSpaceId: source.id, targetSpaceId: target.id, items, options, exclude, tenantId });
+}
+
+function batchProgress(batch) {
+  const migrations = batch.pairs.map(p => store.migrations.get(p.migrationId)).filter(Boolean);
+  const sum = (key) => migrations.reduce((n, m) => n + (m.progress?.[key] || 0), 0);
+  const total = sum('total');
+  const done = sum('completed') + sum('failed') + sum('skipped');
+  return { total, completed: sum('completed'), failed: sum('failed'), skipped: sum('skipped'), percentage: settledPercentage(done, total) };
+}
+
+function batchView(batch) {
+  return {
+    batch: { ...batch, progress: batchProgress(batch) },
+    pairs: batch.pairs.map(p => ({ ...p, migration: store.migrations.get(p.migrationId) || null }))
+  };
+}
+
+// A pair fails when its run throws or any of its items fail. With
+// stopOnFailure the remaining pairs are marked not_run.
+async function runBatch(batch) {
+  batch.status = 'running';
+  batch.startedAt = batch.startedAt || new Date().toISOString();
+  saveBatch(batch);
+
+  for (const pair of batch.pairs) {
+    if (pair.status !== 'pending') continue;
+    const migration = store.migrations.get(pair.migrationId);
+    const items = store.migrationItems.get(pair.migrationId) || [];
+    pair.status = 'running';
+    pair.startedAt = new Date().toISOString();
+    saveBatch(batch);
+    try {
+      const svc = createMigrationService(migration);
+      if (!svc) throw new Error(notConnectedError(migration).error);
+      await svc.executeMigration(migration, items);
+      if (migration.status === 'cancelled') throw new Error('The migration was cancelled');
+      pair.status = migration.progress.failed > 0 ? 'failed' : 'completed';
+    } catch (error) {
+      pair.status = 'failed';
+      pair.error = error.message;
+    }
+    pair.completedAt = new Date().toISOString();
+    saveBatch(batch);
+    if (pair.status === 'failed' && batch.stopOnFailure) {
+      batch.pairs.filter(p => p.status === 'pending').forEach(p => { p.status = 'not_run'; });
+      batch.stopped = true;
+      break;
     }
+  }
+
+  batch.status = batch.pairs.every(p => p.status === 'completed') ? 'completed' : 'failed';
+  batch.completedAt = new Date().toISOString();
+  saveBatch(batch);
+  return batch;
+}
+
+app.get('/api/batches', (req, res) => {
+  const tenant = getSession(req.headers['x-tenant-id']);
+  const batches = Array.from(store.batches.values())
+    .filter(b => tenant && (b.tenantUrl === tenant.tenantUrl || b.targetTenantUrl === tenant.tenantUrl))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .map(b => ({ ...b, progress: batchProgress(b) }));
+  res.json({ batches, total: batches.length });
+});
 
-    const sourceSpace = await req.qlik.getSpace(sourceSpaceId);
-    const targetSpace = await req.qlik.getSpace(targetSpaceId);
+// Every pair is prepared (spaces resolved, names assigned, pre-flight run)
+// before anything is saved, so one bad pair rejects the whole batch
+app.post('/api/batches', getQlikService, async (req, res) => {
+  try {
+    const { name, sourceTenantId, targetTenantId, pairs, stopOnFailure } = req.body;
+    const sourceQlik = sourceTenantId ? getSessionQlik(sourceTenantId) : req.qlik;
+    const targetQlik = targetTenantId ? getSessionQlik(targetTenantId) : req.qlik;
+    if (!sourceQlik || !targetQlik) {
+      return res.status(401).json({ error: 'Source or target tenant is not connected' });
+    }
+    if (!Array.isArray(pairs) || !pairs.length) throw badRequest('A batch needs at least one source → target pair');
+    const options = { ...req.body.options, dryRun: false };
 
-    const connNames = items.filter(i => i.itemType === 'connection').map(i => i.name);
-    const fileNames = items.filter(i => i.itemType !== 'connection').map(i => i.name);
-    const connConflicts = await req.qlik.checkConnectionConflicts(targetSpaceId, connNames);
-    const fileConflicts = await req.qlik.checkFileConflicts(targetSpaceId, fileNames);
-    const allConflicts = [...connConflicts, ...fileConflicts];
+    const prepared = [];
+    for (const [index, pair] of pairs.entries()) {
+      try {
+        prepared.push(await prepareBatchPair(pair, sourceQlik, targetQlik, options, req.tenantId));
+      } catch (error) {
+        error.message = `Pair ${index + 1}: ${error.message}`;
+        throw error;
+      }
+    }
 
-    const migrationId = generateUUID();
-    const migration = {
-      id: migrationId,
+    const batch = {
+      id: generateUUID(),
       tenantId: req.tenantId,
-      sourceSpaceId,
-      sourceSpaceName: sourceSpace.name,
-      targetSpaceId,
-      targetSpaceName: targetSpace.name,
+      name: String(name || '').trim() || prepared.map(p => p.migration.sourceSpaceName).join(', '),
+      tenantUrl: sourceQlik.tenantUrl,
+      targetTenantUrl: targetQlik.tenantUrl,
       status: 'created',
-      options: options || { mode: 'copy', conflictStrategy: 'skip' },
-      progress: { total: items.length, completed: 0, failed: 0, skipped: 0, percentage: 0 },
+      stopOnFailure: !!stopOnFailure,
+      options,
+      pairs: prepared.map(({ migration }) => ({ migrationId: migration.id, sourceSpaceName: migration.sourceSpaceName, targetSpaceName: migration.targetSpaceName, status: 'pending' })),
       createdAt: new Date().toISOString()
     };
+    for (const { migration, items } of prepared) {
+      migration.batchId = batch.id;
+      saveMigration(migration);
+      saveMigrationItems(migration.id, items);
+    }
+    saveBatch(batch);
+    res.json(batchView(batch));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
 
-    const migrationItems = items.map(item => ({
-      id: generateUUID(),
-      migrationId,
-      sourceId: item.sourceId,
-      itemType: item.itemType,
-      name: item.name,
-      sizeBytes: item.sizeBytes || 0,
-      status: 'pending',
-      conflictType: allConflicts.includes(item.name) ? 'NAME_EXISTS' : null,
-      conflictResolution: allConflicts.includes(item.name) ? (options?.conflictStrategy || 'skip') : null
-    }));
+app.get('/api/batches/:batchId', (req, res) => {
+  const batch = store.batches.get(req.params.batchId);
+  if (!batch) return res.status(404).json({ error: 'Not found' });
+  res.json(batchView(batch));
+});
+
+// Starts a new batch, or resumes an interrupted one from its unfinished pairs
+app.post('/api/batches/:batchId/start', getQlikService, (req, res) => {
+  const batch = store.batches.get(req.params.batchId);
+  if (!batch) return res.status(404).json({ error: 'Not found' });
+  if (!['created', 'interrupted'].includes(batch.status)) return res.status(400).json({ error: 'Already started' });
+  const pending = batch.pairs.filter(p => p.status === 'pending').map(p => store.migrations.get(p.migrationId));
+  const blocked = pending.filter(m => m.preflight?.blocking);
+  if (blocked.length) {
+    return res.status(400).json({ error: `Pre-flight checks found blocking problems in ${blocked.map(m => `${m.sourceSpaceName} → ${m.targetSpaceName}`).join(', ')}` });
+  }
+  if (batch.options?.mode === 'move' && req.body?.confirmMove !== true) {
+    return res.status(400).json({ error: 'Move migrations delete source items and must be confirmed' });
+  }
+  const disconnected = pending.find(m => !getMigrationQliks(m));
+  if (disconnected) return res.status(400).json(notConnectedError(disconnected));
+
+  runBatch(batch).catch(console.error);
+  res.json({ ...batchView(batch), message: 'Started' });
+});
+
+// One report for the whole batch: a row per item across every pair as CSV,
+// or the pairs with their items, verification and progress as JSON
+app.get('/api/batches/:batchId/report', (req, res) => {
+  const batch = store.batches.get(req.params.batchId);
+  if (!batch) return res.status(404).json({ error: 'Not found' });
+  const fileName = `batch-report-${batch.id}`;
+  const pairs = batch.pairs.map(pair => {
+    const migration = store.migrations.get(pair.migrationId);
+    const items = store.migrationItems.get(pair.migrationId) || [];
+    return { ...pair, progress: migration?.progress || null, verification: migration ? verificationReport(migration, items) : null, items };
+  });
+  if (req.query.format === 'csv') {
+    const rows = pairs.flatMap(p => p.items.map(i => ({ pair: `${p.sourceSpaceName} → ${p.targetSpaceName}`, pairStatus: p.status, itemType: i.itemType, name: i.name, targetName: i.targetName || '', status: i.status, error: i.errorMessage || '' })));
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+    return res.send(toCsv(rows, ['pair', 'pairStatus', 'itemType', 'name', 'targetName', 'status', 'error']));
+  }
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}.json"`);
+  res.json({ batch: { ...batch, progress: batchProgress(batch) }, pairs, generatedAt: new Date().toISOString() });
+});
+
+// ============================================================================
+// SCHEDULER
+// ============================================================================
+// Schedules run a saved manifest on a cron-style schedule while the app is
+// open. Each run is an ordinary migration tagged with the schedule ID. API
+// keys are never stored, so a due run waits until its tenants are connected.
+
+// Standard five fields: minute hour day-of-month month day-of-week, each `*`,
+// a number, a range `a-b`, a list `a,b` or a step `*/n` / `a-b/n`. Sunday is
+// 0 or 7. Times are local.
+const CRON_FIELDS = [['minute', 0, 59], ['hour', 0, 23], ['dayOfMonth', 1, 31], ['month', 1, 12], ['dayOfWeek', 0, 7]];
+
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) throw badRequest('A schedule needs five fields: minute hour day-of-month month day-of-week');
+  const cron = {};
+  CRON_FIELDS.forEach(([field, min, max], index) => {
+    const values = new Set();
+    for (const part of parts[index].split(',')) {
+      const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+      if (!match) throw badRequest(`Invalid ${field} field: ${parts[index]}`);
+      const from = match[1] === '*' ? min : Number(match[2]);
+      const to = match[1] === '*' ? max : match[3] !== undefined ? Number(match[3]) : match[4] ? max : from;
+      const step = match[4] ? Number(match[4]) : 1;
+      if (from < min || to > max || from > to || step < 1) throw badRequest(`Invalid ${field} field: ${parts[index]}`);
+      for (let v = from; v <= to; v += step) values.add(field === 'dayOfWeek' ? v % 7 : v);
+    }
+    cron[field] = values;
+  });
+  // As in cron, when both day fields are restricted a day matching either one runs
+  cron.anyDayOfMonth = parts[2] === '*';
+  cron.anyDayOfWeek = parts[4] === '*';
+  return cron;
+}
 
-    store.migrations.set(migrationId, migration);
-    store.migrationItems.set(migrationId, migrationItems);
+// The first matching minute strictly after `after`, or null within five years
+function nextCronTime(expression, after = new Date()) {
+  const cron = parseCron(expression);
+  const t = new Date(after.getTime());
+  t.setSeconds(0, 0);
+  t.setMinutes(t.getMinutes() + 1);
+  const limit = after.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+  while (t.getTime() <= limit) {
+    const dayOfMonth = cron.dayOfMonth.has(t.getDate());
+    const dayOfWeek = cron.dayOfWeek.has(t.getDay());
+    const dayMatches = cron.anyDayOfMonth || cron.anyDayOfWeek ? dayOfMonth && dayOfWeek : dayOfMonth || dayOfWeek;
+    if (!cron.month.has(t.getMonth() + 1)) {
+      t.setMonth(t.getMonth() + 1, 1);
+      t.setHours(0, 0, 0, 0);
+    } else if (!dayMatches) {
+      t.setDate(t.getDate() + 1);
+      t.setHours(0, 0, 0, 0);
+    } else if (!cron.hour.has(t.getHours())) {
+      t.setHours(t.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minute.has(t.getMinutes())) {
+      t.setMinutes(t.getMinutes() + 1, 0, 0);
+    } else {
+      return t;
+    }
+  }
+  return null;
+}
+
+// A run that starts more than this long after it was due counts as missed
+const SCHEDULE_GRACE_MS = 5 * 60 * 1000;
+const SCHEDULE_RUN_HISTORY = 50;
+const SCHEDULER_INTERVAL_MS = 30 * 1000;
+const runningSchedules = new Set();
+let schedulerTimer = null;
+
+function validateSchedule(cron, manifest) {
+  if (!nextCronTime(cron)) throw badRequest('The schedule never runs');
+  if (manifest.options?.dryRun) throw badRequest('Scheduled migrations cannot be dry runs');
+}
+
+// Why a scheduled run could not sign in to `tenantUrl`: runs use an open
+// session or, once that has expired, the tenant's saved profile
+function scheduleSignInError(tenantUrl) {
+  return new Error(profilesKey
+    ? `No session for ${tenantUrl} is open and it is not a saved tenant; save it so scheduled runs can sign in`
+    : `No session for ${tenantUrl} is open and saved tenants are locked; unlock them so scheduled runs can sign in`);
+}
 
-    res.json({ migration, items: migrationItems, conflicts: allConflicts.map(name => ({ name, type: 'NAME_EXISTS' })) });
+async function runSchedule(schedule, trigger, missed = 0) {
+  const run = { id: generateUUID(), trigger, dueAt: schedule.dueAt || null, missed, startedAt: new Date().toISOString(), status: 'running', migrationId: null, error: null };
+  schedule.runs = [run, ...schedule.runs].slice(0, SCHEDULE_RUN_HISTORY);
+  schedule.dueAt = null;
+  runningSchedules.add(schedule.id);
+  saveSchedule(schedule);
+  try {
+    const manifest = parseManifest(schedule.manifest);
+    const sourceQlik = getTenantUrlQlik(schedule.tenantUrl);
+    const targetQlik = getTenantUrlQlik(schedule.targetTenantUrl);
+    if (!sourceQlik || !targetQlik) throw scheduleSignInError(sourceQlik ? schedule.targetTenantUrl : schedule.tenantUrl);
+    const selection = await resolveManifest(manifest, sourceQlik, targetQlik);
+    const { migration, items } = await prepareMigration({ sourceQlik, targetQlik, ...selection });
+    migration.manifest = manifest;
+    migration.scheduleId = schedule.id;
+    saveMigration(migration);
+    saveMigrationItems(migration.id, items);
+    run.migrationId = migration.id;
+    if (migration.preflight.blocking) {
+      throw new Error(`Pre-flight checks found blocking problems: ${migration.preflight.checks.filter(c => c.level === 'error').map(c => c.message).join('; ')}`);
+    }
+    // The session or saved tenants may have gone while the migration was prepared
+    const svc = createMigrationService(migration);
+    if (!svc) throw scheduleSignInError(getTenantUrlQlik(migration.tenantUrl) ? migration.targetTenantUrl : migration.tenantUrl);
+    await svc.executeMigration(migration, items);
+    if (migration.status === 'cancelled') throw new Error('The migration was cancelled');
+    run.status = migration.status === 'completed' && !migration.progress.failed ? 'completed' : 'failed';
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    run.status = 'failed';
+    run.error = error.message;
+  } finally {
+    runningSchedules.delete(schedule.id);
+  }
+  run.completedAt = new Date().toISOString();
+  saveSchedule(schedule);
+  return run;
+}
+
+// Starts every schedule that is due. Occurrences missed while the app was
+// closed collapse into one run when it is next open, or are recorded as
+// missed if the schedule opts out of catching up. A run never overlaps the
+// previous run of the same schedule.
+function checkSchedules(now = new Date()) {
+  for (const schedule of store.schedules.values()) {
+    if (schedule.paused || runningSchedules.has(schedule.id)) continue;
+    if (!schedule.dueAt && (!schedule.nextRunAt || new Date(schedule.nextRunAt) > now)) continue;
+
+    if (!schedule.dueAt) {
+      let occurrences = 1;
+      for (let t = nextCronTime(schedule.cron, new Date(schedule.nextRunAt)); t && t <= now && occurrences < 1000; t = nextCronTime(schedule.cron, t)) occurrences++;
+      const late = now - new Date(schedule.nextRunAt) > SCHEDULE_GRACE_MS;
+      const missed = late ? occurrences : 0;
+      schedule.dueAt = schedule.nextRunAt;
+      schedule.missed = missed;
+      schedule.nextRunAt = nextCronTime(schedule.cron, now)?.toISOString() || null;
+      if (late && !schedule.catchUp) {
+        schedule.runs = [{ id: generateUUID(), trigger: 'schedule', dueAt: schedule.dueAt, missed, status: 'missed', migrationId: null, error: 'The app was not running', completedAt: now.toISOString() }, ...schedule.runs].slice(0, SCHEDULE_RUN_HISTORY);
+        schedule.dueAt = null;
+        saveSchedule(schedule);
+        continue;
+      }
+      schedule.late = late;
+      saveSchedule(schedule);
+    }
+
+    // Stays due until both tenants are connected
+    if (!getTenantUrlQlik(schedule.tenantUrl) || !getTenantUrlQlik(schedule.targetTenantUrl)) continue;
+    runSchedule(schedule, schedule.late ? 'catch-up' : 'schedule', schedule.missed || 0).catch(console.error);
   }
+}
+
+function startScheduler() {
+  if (schedulerTimer) return;
+  schedulerTimer = setInterval(() => checkSchedules(), SCHEDULER_INTERVAL_MS);
+  schedulerTimer.unref();
+  checkSchedules();
+}
+
+function scheduleView(schedule) {
+  const connected = !!getTenantUrlQlik(schedule.tenantUrl) && !!getTenantUrlQlik(schedule.targetTenantUrl);
+  return { ...schedule, running: runningSchedules.has(schedule.id), waitingForTenant: !!schedule.dueAt && !connected };
+}
+
+app.get('/api/schedules', (req, res) => {
+  const tenant = getSession(req.headers['x-tenant-id']);
+  const schedules = Array.from(store.schedules.values())
+    .filter(s => tenant && (s.tenantUrl === tenant.tenantUrl || s.targetTenantUrl === tenant.tenantUrl))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(scheduleView);
+  res.json({ schedules, total: schedules.length });
 });
 
-app.get('/api/migrations/:migrationId', (req, res) => {
-  const migration = store.migrations.get(req.params.migrationId);
-  const items = store.migrationItems.get(req.params.migrationId);
-  if (!migration) return res.status(404).json({ error: 'Not found' });
-  res.json({ migration, items });
+// The definition is either a manifest or a past migration to repeat
+app.post('/api/schedules', getQlikService, async (req, res) => {
+  try {
+    const { name, cron, migrationId, catchUp = true } = req.body;
+    let manifest;
+    if (req.body.manifest) {
+      manifest = parseManifest(req.body.manifest);
+    } else {
+      const migration = store.migrations.get(migrationId);
+      if (!migration) throw badRequest('A manifest or a migrationId is required');
+      manifest = buildManifest(migration, store.migrationItems.get(migration.id) || []);
+    }
+    validateSchedule(cron, manifest);
+    if (manifest.options?.mode === 'move' && req.body.confirmMove !== true) {
+      throw badRequest('Move schedules delete source items on every run and must be confirmed');
+    }
+    const sourceQlik = manifest.source.tenant ? getTenantUrlQlik(manifest.source.tenant) : req.qlik;
+    const targetQlik = manifest.target.tenant ? getTenantUrlQlik(manifest.target.tenant) : req.qlik;
+    if (!sourceQlik || !targetQlik) return res.status(401).json({ error: 'Source or target tenant is not connected' });
+    // Resolve once now so a typo shows up here rather than at 2 a.m.
+    await resolveManifest(manifest, sourceQlik, targetQlik);
+
+    const schedule = {
+      id: generateUUID(),
+      name: String(name || '').trim() || `${manifest.source.space} → ${manifest.target.space}`,
+      cron: String(cron).trim(),
+      manifest,
+      tenantUrl: sourceQlik.tenantUrl,
+      targetTenantUrl: targetQlik.tenantUrl,
+      catchUp: !!catchUp,
+      paused: false,
+      nextRunAt: nextCronTime(cron).toISOString(),
+      dueAt: null,
+      runs: [],
+      createdAt: new Date().toISOString()
+    };
+    saveSchedule(schedule);
+    res.json({ schedule: scheduleView(schedule) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
 });
 
-app.get('/api/migrations', (req, res) => {
-  const tenantId = req.headers['x-tenant-id'];
-  const migrations = Array.from(store.migrations.values())
-    .filter(m => m.tenantId === tenantId)
-    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-  res.json({ migrations, total: migrations.length });
+// Pause or resume, rename, or change the cron expression or catch-up choice
+app.patch('/api/schedules/:scheduleId', (req, res) => {
+  try {
+    const schedule = store.schedules.get(req.params.scheduleId);
+    if (!schedule) return res.status(404).json({ error: 'Not found' });
+    const { name, cron, paused, catchUp } = req.body;
+    if (cron !== undefined) {
+      validateSchedule(cron, schedule.manifest);
+      schedule.cron = String(cron).trim();
+    }
+    if (name !== undefined && String(name).trim()) schedule.name = String(name).trim();
+    if (catchUp !== undefined) schedule.catchUp = !!catchUp;
+    if (paused !== undefined) {
+      schedule.paused = !!paused;
+      // Resuming starts from the next occurrence instead of replaying the pause
+      if (!schedule.paused) schedule.dueAt = null;
+    }
+    if (cron !== undefined || paused === false) schedule.nextRunAt = nextCronTime(schedule.cron).toISOString();
+    saveSchedule(schedule);
+    res.json({ schedule: scheduleView(schedule) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
 });
 
-app.post('/api/migrations/:migrationId/start', getQlikService, async (req, res) => {
-  const migration = store.migrations.get(req.params.migrationId);
-  const items = store.migrationItems.get(req.params.migrationId);
-  if (!migration) return res.status(404).json({ error: 'Not found' });
-  if (migration.status !== 'created') return res.status(400).json({ error: 'Already started' });
+app.delete('/api/schedules/:scheduleId', (req, res) => {
+  if (!store.schedules.has(req.params.scheduleId)) return res.status(404).json({ error: 'Not found' });
+  if (runningSchedules.has(req.params.scheduleId)) return res.status(400).json({ error: 'The schedule is running; delete it once the run finishes' });
+  deleteSchedule(req.params.scheduleId);
+  res.json({ success: true });
+});
+
+app.post('/api/schedules/:scheduleId/run', getQlikService, (req, res) => {
+  const schedule = store.schedules.get(req.params.scheduleId);
+  if (!schedule) return res.status(404).json({ error: 'Not found' });
+  if (runningSchedules.has(schedule.id)) return res.status(400).json({ error: 'Already running' });
+  if (!getTenantUrlQlik(schedule.tenantUrl) || !getTenantUrlQlik(schedule.targetTenantUrl)) {
+    return res.status(400).json({ error: `Connect to ${schedule.tenantUrl === schedule.targetTenantUrl ? schedule.tenantUrl : `${schedule.tenantUrl} and ${schedule.targetTenantUrl}`} to run this schedule` });
+  }
+  runSchedule(schedule, 'manual').catch(console.error);
+  res.json({ schedule: scheduleView(schedule), message: 'Started' });
+});
+
+// ============================================================================
+// COMMAND LINE
+// ============================================================================
+// `qlik-migration-tool <command>` runs without the server or browser, for build agents
+// and scheduled jobs. API keys come from the environment or a file, never from
+// the arguments, where other users could read them in the process list.
+const CLI_USAGE = `Usage: qlik-migration-tool <command> [options]
+
+Commands:
+  list-spaces                    List the spaces on the source tenant
+  plan                           Show what a migration would do, without changing anything
+  run                            Run a migration and wait for it to finish
 
-  const svc = new MigrationService(req.qlik, (progress) => {
-    const m = store.migrations.get(req.params.migrationId);
-    if (m) { m.progress = progress; store.migrations.set(req.params.migrationId, m); }
+Tenants:
+  --tenant <host>                Source tenant, e.g. acme.eu.qlikcloud.com (or QLIK_TENANT)
+  --api-key-file <path>          File holding the source API key (or QLIK_API_KEY)
+  --target-tenant <host>         Target tenant, if different (or QLIK_TARGET_TENANT)
+  --target-api-key-file <path>   File holding the target API key (or QLIK_TARGET_API_KEY)
+
+Migration (plan, run):
+  --manifest <file>              JSON or YAML manifest; the flags below override it
+  --source <space>               Source space ID or name
+  --target <space>               Target space ID or name
+  --items <list>                 Comma-separated: all, connections, files, apps,
+                                 connection:<name>, folder:<path>, file:<path>, app:<name>
+                                 (default: all)
+  --exclude <globs>              Comma-separated name patterns to leave out, e.g. "**/tmp_*"
+  --mode copy|move               Default copy; move also needs --confirm-move
+  --conflict skip|rename|overwrite
+  --rename-template <template>   Name for conflicting items, e.g. "{base}_copy{ext}"
+  --bulk-rename <template>       Rename every item, e.g. "PROD_{base}{ext}"
+  --publish-apps                 Publish apps into a managed target space
+  --max-attempts <n>             Attempts per API request, 1-10
+  --concurrency <c,f,a>          Parallel connections, files and apps, e.g. 2,4,1
+  --output <path>                Where to write the JSON result (default: migration-<id>.json)
+
+Exit codes: 0 success, 1 failed items or blocking pre-flight problems, 2 invalid arguments.
+`;
+
+function parseCliArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      args._.push(arg);
+      continue;
+    }
+    const [key, value] = arg.slice(2).split(/=(.*)/s);
+    if (value !== undefined) args[key] = value;
+    else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) args[key] = argv[++i];
+    else args[key] = true;
+  }
+  return args;
+}
+
+function readApiKey(file, envName) {
+  if (file) return fs.readFileSync(file, 'utf8').trim();
+  return process.env[envName] || null;
+}
+
+// --max-attempts, or QLIK_MAX_ATTEMPTS, as a whole number from 1 to 10;
+// undefined when neither is set
+function cliMaxAttempts(args) {
+  const [name, value] = args['max-attempts'] !== undefined ? ['--max-attempts', args['max-attempts']] : ['QLIK_MAX_ATTEMPTS', process.env.QLIK_MAX_ATTEMPTS];
+  if (value === undefined || value === '') return undefined;
+  const attempts = /^\d+$/.test(String(value).trim()) ? Number(value) : NaN;
+  if (!Number.isInteger(attempts) || attempts < 1 || attempts > MAX_ATTEMPTS_LIMIT) throw badRequest(`${name} must be a whole number from 1 to ${MAX_ATTEMPTS_LIMIT}`);
+  return attempts;
+}
+
+function cliTenants(args, manifest = null) {
+  const tenantUrl = args.tenant || process.env.QLIK_TENANT || manifest?.source.tenant;
+  const apiKey = readApiKey(args['api-key-file'], 'QLIK_API_KEY');
+  if (!tenantUrl || !apiKey) throw badRequest('A tenant (--tenant or QLIK_TENANT) and an API key (--api-key-file or QLIK_API_KEY) are required');
+  const maxAttempts = cliMaxAttempts(args);
+  const retry = maxAttempts ? { maxAttempts } : {};
+  const source = new QlikService(tenantUrl, apiKey, retry);
+
+  const targetUrl = args['target-tenant'] || process.env.QLIK_TARGET_TENANT || manifest?.target.tenant;
+  if (!targetUrl || targetUrl === tenantUrl) return { source, target: source };
+  const targetKey = readApiKey(args['target-api-key-file'], 'QLIK_TARGET_API_KEY');
+  if (!targetKey) throw badRequest('The target tenant needs its own API key (--target-api-key-file or QLIK_TARGET_API_KEY)');
+  return { source, target: new QlikService(targetUrl, targetKey, retry) };
+}
+
+// Turns an --items list into item selectors. Without `withApps`, `all` leaves apps out.
+function parseItemsFlag(spec = 'all', withApps = true) {
+  const groups = {
+    all: withApps ? [{}] : [{ type: 'connection' }, { type: 'folder' }, { type: 'file' }],
+    connections: [{ type: 'connection' }],
+    files: [{ type: 'file' }, { type: 'folder' }],
+    apps: [{ type: 'app' }]
+  };
+  return String(spec).split(',').map(e => e.trim()).filter(Boolean).flatMap(entry => {
+    if (groups[entry]) return groups[entry];
+    const colon = entry.indexOf(':');
+    const type = entry.slice(0, colon);
+    if (colon < 0 || !ITEM_TYPES.includes(type)) throw badRequest(`Unknown --items entry "${entry}"`);
+    return [{ type, name: entry.slice(colon + 1) }];
   });
-  svc.executeMigration(migration, items).catch(console.error);
+}
 
-  res.json({ migration, message: 'Started' });
-});
+// Flags given on the command line win over the manifest's options
+function cliOptions(args, base = {}) {
+  const options = { ...base };
+  if (args.mode) options.mode = args.mode;
+  if (args.conflict) options.conflictStrategy = args.conflict;
+  if (args['rename-template']) options.renameTemplate = args['rename-template'];
+  if (args['bulk-rename']) options.bulkRenameTemplate = args['bulk-rename'];
+  if (args['publish-apps']) options.publishApps = true;
+  if (args['max-attempts'] !== undefined) options.maxAttempts = cliMaxAttempts(args);
+  if (args.concurrency) {
+    const [connections, files, apps] = String(args.concurrency).split(',').map(Number);
+    options.concurrency = Object.fromEntries(Object.entries({ connections, files, apps }).filter(([, n]) => n !== undefined));
+  }
+  return options;
+}
 
-app.post('/api/migrations/:migrationId/cancel', (req, res) => {
-  const migration = store.migrations.get(req.params.migrationId);
-  if (!migration) return res.status(404).json({ error: 'Not found' });
-  migration.status = 'cancelled';
-  store.migrations.set(req.params.migrationId, migration);
-  res.json({ migration, message: 'Cancelled' });
-});
+function readCliManifest(args) {
+  if (!args.manifest) return null;
+  if (args.manifest === true) throw badRequest('--manifest needs a file');
+  return parseManifest(fs.readFileSync(path.resolve(args.manifest), 'utf8'));
+}
+
+// --source, --target, --items and --exclude override the manifest's
+async function cliPrepare(args) {
+  const manifest = readCliManifest(args);
+  const { source, target } = cliTenants(args, manifest);
+  const sourceSpace = await findSpace(source, args.source || manifest?.source.space, '--source');
+  const targetSpace = await findSpace(target, args.target || manifest?.target.space, '--target');
+  const options = cliOptions(args, manifest?.options);
+  // Like a batch's "everything", `all` takes apps only when they can go to this target as configured
+  const withApps = (targetSpace.type === 'managed') === !!options.publishApps;
+  const flagItems = args.items || !manifest ? String(args.items || 'all') : null;
+  if (!withApps && flagItems?.split(',').some(e => e.trim() === 'all')) {
+    console.log(targetSpace.type === 'managed' ? 'Apps are left out: add --publish-apps to publish them to this managed space' : 'Apps are left out: --publish-apps needs a managed target space');
+  }
+  const include = flagItems ? parseItemsFlag(flagItems, withApps) : manifest.include;
+  const exclude = args.exclude ? String(args.exclude).split(',').map(glob => ({ glob: glob.trim() })) : (manifest?.exclude || []);
+  const items = await selectItems(source, sourceSpace.id, include, exclude);
+  if (!items.length) throw badRequest('No items match the selection');
+  const prepared = await prepareMigration({ sourceQlik: source, targetQlik: target, sourceSpaceId: sourceSpace.id, targetSpaceId: targetSpace.id, items, options, exclude });
+  if (manifest) prepared.migration.manifest = manifest;
+  return { ...prepared, source, target };
+}
+
+function printPlan(migration, items) {
+  const plan = buildPlan(items);
+  console.log(`${migration.sourceSpaceName} → ${migration.targetSpaceName}${migration.crossTenant ? ` (${migration.tenantUrl} → ${migration.targetTenantUrl})` : ''}`);
+  plan.items.forEach(i => console.log(`  ${i.action.padEnd(9)} ${i.itemType.padEnd(10)} ${i.sourceName}${i.targetName && i.targetName !== i.sourceName ? ` → ${i.targetName}` : ''}`));
+  console.log(`${plan.summary.total} items: ${Object.entries(plan.summary.actions).map(([action, n]) => `${n} ${action}`).join(', ')}`);
+  console.log('Pre-flight checks:');
+  migration.preflight.checks.forEach(c => console.log(`  ${c.level.toUpperCase().padEnd(7)} ${c.message}`));
+  return plan;
+}
+
+function writeCliResult(args, migration, result) {
+  const file = path.resolve(args.output && args.output !== true ? args.output : `migration-${migration.id}.json`);
+  fs.writeFileSync(file, JSON.stringify(result, null, 2));
+  console.log(`Result written to ${file}`);
+}
+
+// Each command resolves to the process exit code
+const CLI_COMMANDS = {
+  'list-spaces': async (args) => {
+    const { source } = cliTenants(args);
+    const spaces = await source.listSpaces();
+    spaces.forEach(s => console.log(`${s.id}  ${(s.type || '').padEnd(8)}  ${s.name}`));
+    if (args.output && args.output !== true) fs.writeFileSync(path.resolve(args.output), JSON.stringify(spaces, null, 2));
+    return 0;
+  },
+
+  plan: async (args) => {
+    const { migration, items } = await cliPrepare(args);
+    const plan = printPlan(migration, items);
+    writeCliResult(args, migration, { migration, plan, preflight: migration.preflight });
+    return migration.preflight.blocking ? 1 : 0;
+  },
+
+  // Runs are saved to the same history as the UI's, so they show up there too
+  run: async (args) => {
+    const mode = args.mode || readCliManifest(args)?.options?.mode;
+    if (mode === 'move' && !args['confirm-move']) throw badRequest('Move deletes the source items; add --confirm-move to go ahead');
+    const { migration, items, source, target } = await cliPrepare(args);
+    printPlan(migration, items);
+    if (migration.preflight.blocking) {
+      console.error('Pre-flight checks found blocking problems; nothing was migrated');
+      writeCliResult(args, migration, { migration, plan: buildPlan(items), preflight: migration.preflight });
+      return 1;
+    }
+
+    saveMigration(migration);
+    saveMigrationItems(migration.id, items);
+    let finished = 0;
+    migrationEvents.on(migration.id, (event) => {
+      if (event.type !== 'item' || event.item.status === 'in_progress') return;
+      const item = event.item;
+      console.log(`[${++finished}/${items.length}] ${item.status.padEnd(9)} ${item.itemType.padEnd(10)} ${item.targetName || item.name}${item.errorMessage ? ` - ${item.errorMessage}` : ''}`);
+    });
+    await new MigrationService(source, () => {}, target !== source ? target : null).executeMigration(migration, items);
+    migrationEvents.removeAllListeners(migration.id);
+
+    const summary = summarizeItems(items);
+    console.log(`Finished: ${summary.completed} completed, ${summary.failed} failed, ${summary.skipped} skipped`);
+    const verified = migration.verification?.summary;
+    if (verified) console.log(`Verification: ${verified.verified} verified, ${verified.mismatch} with differences, ${verified.missing} missing`);
+    writeCliResult(args, migration, { migration, items, plan: buildPlan(items), verification: verificationReport(migration, items) });
+    return summary.failed > 0 ? 1 : 0;
+  }
+};
+
+async function runCli(argv) {
+  const args = parseCliArgs(argv);
+  const command = CLI_COMMANDS[args._[0]];
+  if (!command || args.help) {
+    console.log(CLI_USAGE);
+    return command || args.help || ['help', '-h'].includes(args._[0]) ? 0 : 2;
+  }
+  try {
+    return await command(args);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return error.status === 400 ? 2 : 1;
+  }
+}
 
 // ============================================================================
 // START SERVER
@@ -435,17 +3172,29 @@ function findAvailablePort(startPort) {
 }
 
 async function main() {
+  // A command (or help) runs headless; with no arguments the UI starts as usual
+  const cliArgs = process.argv.slice(2);
+  if (CLI_COMMANDS[cliArgs[0]] || ['help', '--help', '-h'].includes(cliArgs[0])) {
+    process.exitCode = await runCli(cliArgs);
+    return;
+  }
+
   console.log('');
   console.log('╔═══════════════════════════════════════════════════════════╗');
   console.log('║         Qlik Cloud Space Migration Tool                   ║');
   console.log('╚═══════════════════════════════════════════════════════════╝');
   console.log('');
 
+  loadStore();
+  console.log(`✓ Migration history: ${HISTORY_FILE}`);
+  startScheduler();
+
   const port = await findAvailablePort(3456);
   
   app.listen(port, '127.0.0.1', async () => {
-    const url = `http://127.0.0.1:${port}`;
-    console.log(`✓ Server running at ${url}`);
+    const url = `http://127.0.0.1:${port}/?token=${API_TOKEN}`;
+    console.log(`✓ Server running at http://127.0.0.1:${port}`);
+    console.log(`  Open: ${url}`);
     console.log('');
     console.log('Opening browser...');
     console.log('');
@@ -458,7 +3207,8 @@ async function main() {
   });
 }
 
-main().catch(console.error);
+// Only when run directly, so the tests can load the helpers below
+if (require.main === module) main().catch(console.error);
 
 // ============================================================================
 // EMBEDDED HTML
@@ -494,6 +3244,7 @@ function getHTML() {
     .nav-item:hover { background: var(--gray-800); color: white; }
     .nav-item.active { background: var(--emerald-600); color: white; }
     .sidebar-footer { padding: 16px; border-top: 1px solid var(--gray-800); }
+    .sidebar-select { width: 100%; margin-bottom: 8px; padding: 6px 8px; background: var(--gray-800); color: var(--gray-200); border: 1px solid var(--gray-700); border-radius: 8px; font-size: 14px; }
     .main { flex: 1; overflow: auto; padding: 32px; }
     .card { background: white; border-radius: 12px; box-shadow: 0 1px 3px rgba(0,0,0,0.1); border: 1px solid var(--gray-200); }
     .card-header { padding: 16px; border-bottom: 1px solid var(--gray-200); font-weight: 600; }
@@ -532,16 +3283,16 @@ function getHTML() {
     .grid-3 { grid-template-columns: repeat(3, 1fr); }
     .grid-4 { grid-template-columns: repeat(4, 1fr); }
     .mb-2 { margin-bottom: 8px; } .mb-4 { margin-bottom: 16px; } .mb-6 { margin-bottom: 24px; }
-    .mt-4 { margin-top: 16px; } .mt-6 { margin-top: 24px; }
-    .p-4 { padding: 16px; } .p-6 { padding: 24px; }
+    .mt-2 { margin-top: 8px; } .mt-4 { margin-top: 16px; } .mt-6 { margin-top: 24px; }
+    .p-2 { padding: 8px; } .p-4 { padding: 16px; } .p-6 { padding: 24px; }
     .flex { display: flex; } .flex-col { flex-direction: column; }
     .items-center { align-items: center; } .justify-between { justify-content: space-between; } .justify-center { justify-content: center; }
     .gap-2 { gap: 8px; } .gap-4 { gap: 16px; } .flex-1 { flex: 1; }
-    .text-center { text-align: center; }
+    .text-center { text-align: center; } .text-left { text-align: left; }
     .text-sm { font-size: 14px; } .text-xs { font-size: 12px; } .text-lg { font-size: 18px; } .text-xl { font-size: 20px; } .text-2xl { font-size: 24px; }
     .font-medium { font-weight: 500; } .font-semibold { font-weight: 600; } .font-bold { font-weight: 700; }
     .text-gray-500 { color: var(--gray-500); } .text-gray-600 { color: var(--gray-600); } .text-gray-900 { color: var(--gray-900); }
-    .text-emerald-600 { color: var(--emerald-600); } .text-emerald-700 { color: var(--emerald-700); }
+    .text-emerald-600 { color: var(--emerald-600); } .text-emerald-700 { color: var(--emerald-700); } .text-amber-700 { color: var(--amber-700); }
     .rounded-lg { border-radius: 8px; } .rounded-xl { border-radius: 12px; }
     .bg-gray-50 { background: var(--gray-50); } .bg-emerald-50 { background: var(--emerald-50); }
     .border { border: 1px solid var(--gray-200); }
@@ -593,66 +3344,156 @@ function getHTML() {
       xCircle: '<svg class="icon" fill="none" stroke="currentColor" viewBox="0 0 24 24"><circle cx="12" cy="12" r="10"/><line x1="15" y1="9" x2="9" y2="15"/><line x1="9" y1="9" x2="15" y2="15"/></svg>',
       layout: '<svg class="icon" fill="none" stroke="currentColor" viewBox="0 0 24 24"><rect x="3" y="3" width="7" height="9"/><rect x="14" y="3" width="7" height="5"/><rect x="14" y="12" width="7" height="9"/><rect x="3" y="16" width="7" height="5"/></svg>',
       history: '<svg class="icon" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path d="M3 3v5h5"/><path d="M3.05 13A9 9 0 1 0 6 5.3L3 8"/><path d="M12 7v5l4 2"/></svg>',
+      clock: '<svg class="icon" fill="none" stroke="currentColor" viewBox="0 0 24 24"><circle cx="12" cy="12" r="9"/><path d="M12 7v5l3 3"/></svg>',
       logOut: '<svg class="icon" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path d="M9 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h4"/><polyline points="16,17 21,12 16,7"/><line x1="21" y1="12" x2="9" y2="12"/></svg>',
       refresh: '<svg class="icon" fill="none" stroke="currentColor" viewBox="0 0 24 24"><polyline points="23,4 23,10 17,10"/><path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"/></svg>',
       skip: '<svg class="icon" fill="none" stroke="currentColor" viewBox="0 0 24 24"><polygon points="5,4 15,12 5,20 5,4"/><line x1="19" y1="5" x2="19" y2="19"/></svg>',
     };
 
     const API_BASE = '';
+    // The per-launch token from the URL the app opened; sessions are kept per
+    // browser tab and end when the server expires them
+    const API_TOKEN = new URLSearchParams(location.search).get('token') || '';
     const api = {
-      tenantId: localStorage.getItem('tenantId'),
-      async request(method, endpoint, data = null) {
-        const config = { method, headers: { 'Content-Type': 'application/json', 'X-Tenant-Id': this.tenantId || '' } };
+      tenantId: sessionStorage.getItem('tenantId'),
+      async request(method, endpoint, data = null, tenantId = null) {
+        const config = { method, headers: { 'Content-Type': 'application/json', 'X-Tenant-Id': tenantId || this.tenantId || '', 'X-Api-Token': API_TOKEN } };
         if (data) config.body = JSON.stringify(data);
         const response = await fetch(API_BASE + endpoint, config);
         const result = await response.json();
-        if (!response.ok) throw new Error(result.error || 'API request failed');
+        if (response.status === 401 && result.code === 'session_expired' && !tenantId && state.isConnected) sessionEnded();
+        if (!response.ok) throw Object.assign(new Error(result.error || 'API request failed'), { code: result.code });
         return result;
       },
-      async connect(tenantUrl, apiKey) {
-        const result = await this.request('POST', '/api/auth/connect', { tenantUrl, apiKey });
+      useSession(result) {
         this.tenantId = result.tenantId;
-        localStorage.setItem('tenantId', result.tenantId);
-        localStorage.setItem('tenantUrl', result.tenantUrl);
+        sessionStorage.setItem('tenantId', result.tenantId);
+        sessionStorage.setItem('tenantUrl', result.tenantUrl);
         return result;
       },
+      async connect(tenantUrl, apiKey) { return this.useSession(await this.request('POST', '/api/auth/connect', { tenantUrl, apiKey })); },
+      async connectProfile(id, passphrase) { return this.useSession(await this.request('POST', '/api/profiles/' + id + '/connect', { passphrase })); },
+      // A second tenant session for cross-tenant migrations; the main session is unchanged
+      addExtraTenant(result) {
+        const extra = JSON.parse(sessionStorage.getItem('extraTenants') || '[]').filter(t => t.tenantUrl !== result.tenantUrl);
+        extra.push({ tenantId: result.tenantId, tenantUrl: result.tenantUrl });
+        sessionStorage.setItem('extraTenants', JSON.stringify(extra));
+        return extra;
+      },
+      async connectAdditional(tenantUrl, apiKey) { return this.addExtraTenant(await this.request('POST', '/api/auth/connect', { tenantUrl, apiKey })); },
+      async connectAdditionalProfile(id) { return this.addExtraTenant(await this.request('POST', '/api/profiles/' + id + '/connect', {})); },
+      forgetSession() {
+        this.tenantId = null;
+        sessionStorage.removeItem('tenantId');
+        sessionStorage.removeItem('tenantUrl');
+        sessionStorage.removeItem('extraTenants');
+      },
       async disconnect() {
+        const extra = JSON.parse(sessionStorage.getItem('extraTenants') || '[]');
+        await Promise.all(extra.map(t => this.request('POST', '/api/auth/disconnect', { tenantId: t.tenantId }).catch(() => {})));
         await this.request('POST', '/api/auth/disconnect', { tenantId: this.tenantId });
-        this.tenantId = null;
-        localStorage.removeItem('tenantId');
-        localStorage.removeItem('tenantUrl');
+        this.forgetSession();
       },
-      listSpaces() { return this.request('GET', '/api/spaces'); },
+      listProfiles() { return this.request('GET', '/api/profiles'); },
+      saveProfile(profile) { return this.request('POST', '/api/profiles', profile); },
+      unlockProfiles(passphrase) { return this.request('POST', '/api/profiles/unlock', { passphrase }); },
+      lockProfiles() { return this.request('POST', '/api/profiles/lock'); },
+      deleteProfile(id) { return this.request('DELETE', '/api/profiles/' + id); },
+      forgetProfiles() { return this.request('DELETE', '/api/profiles', { confirm: true }); },
+      listSpaces(tenantId) { return this.request('GET', '/api/spaces', null, tenantId); },
       getSpace(id) { return this.request('GET', '/api/spaces/' + id); },
-      listConnections(spaceId) { return this.request('GET', '/api/spaces/' + spaceId + '/connections'); },
-      listFiles(spaceId) { return this.request('GET', '/api/spaces/' + spaceId + '/files'); },
-      createMigration(s, t, items, opts) { return this.request('POST', '/api/migrations', { sourceSpaceId: s, targetSpaceId: t, items, options: opts }); },
+      createSpace(name, type, tenantId) { return this.request('POST', '/api/spaces', { name, type }, tenantId); },
+      renameSpace(id, name) { return this.request('PATCH', '/api/spaces/' + id, { name }); },
+      cloneMembers(targetSpaceId, sourceSpaceId) { return this.request('POST', '/api/spaces/' + targetSpaceId + '/members/clone', { sourceSpaceId }); },
+      compareSpaces(a, b, otherTenantId) { return this.request('GET', '/api/spaces/' + a + '/compare/' + b + (otherTenantId ? '?otherTenantId=' + otherTenantId : '')); },
+      listBatches() { return this.request('GET', '/api/batches'); },
+      getBatch(id) { return this.request('GET', '/api/batches/' + id); },
+      createBatch(batch) { return this.request('POST', '/api/batches', batch); },
+      startBatch(id, confirmMove) { return this.request('POST', '/api/batches/' + id + '/start', { confirmMove }); },
+      listSchedules() { return this.request('GET', '/api/schedules'); },
+      createSchedule(schedule) { return this.request('POST', '/api/schedules', schedule); },
+      updateSchedule(id, changes) { return this.request('PATCH', '/api/schedules/' + id, changes); },
+      runSchedule(id) { return this.request('POST', '/api/schedules/' + id + '/run'); },
+      deleteSchedule(id) { return this.request('DELETE', '/api/schedules/' + id); },
+      cloneSpace(id, options) { return this.request('POST', '/api/spaces/' + id + '/clone', options); },
+      listConnections(spaceId, loadId, tenantId) { return this.request('GET', '/api/spaces/' + spaceId + '/connections' + (loadId ? '?loadId=' + loadId : ''), null, tenantId); },
+      listApps(spaceId, loadId, tenantId) { return this.request('GET', '/api/spaces/' + spaceId + '/apps' + (loadId ? '?loadId=' + loadId : ''), null, tenantId); },
+      listUsers(ids, tenantId) { return this.request('GET', '/api/users?ids=' + encodeURIComponent(ids.join(',')), null, tenantId); },
+      listFiles(spaceId, loadId, tenantId) { return this.request('GET', '/api/spaces/' + spaceId + '/files' + (loadId ? '?loadId=' + loadId : ''), null, tenantId); },
+      getListingProgress(loadId) { return this.request('GET', '/api/listings/' + loadId); },
+      createMigration(s, t, items, opts, tenants) { return this.request('POST', '/api/migrations', { sourceSpaceId: s, targetSpaceId: t, items, options: opts, ...tenants }); },
+      createFromManifest(manifest, tenants) { return this.request('POST', '/api/migrations', { manifest, ...tenants }); },
       getMigration(id) { return this.request('GET', '/api/migrations/' + id); },
+      migrationEvents(id) { return new EventSource('/api/migrations/' + id + '/events?token=' + API_TOKEN); },
       listMigrations() { return this.request('GET', '/api/migrations'); },
-      startMigration(id) { return this.request('POST', '/api/migrations/' + id + '/start'); },
+      startMigration(id, confirmMove) { return this.request('POST', '/api/migrations/' + id + '/start', { confirmMove }); },
+      retryMigration(id, includeSkipped, confirmMove) { return this.request('POST', '/api/migrations/' + id + '/retry', { includeSkipped, confirmMove }); },
+      resumeMigration(id, confirmMove) { return this.request('POST', '/api/migrations/' + id + '/resume', { confirmMove }); },
+      updateItem(id, itemId, changes) { return this.request('PATCH', '/api/migrations/' + id + '/items/' + itemId, changes); },
+      rollbackMigration(id) { return this.request('POST', '/api/migrations/' + id + '/rollback', { confirm: true }); },
+      verifyMigration(id) { return this.request('POST', '/api/migrations/' + id + '/verify'); },
+      runPreflight(id) { return this.request('POST', '/api/migrations/' + id + '/preflight'); },
+      approveMigration(id, approvedBy) { return this.request('POST', '/api/migrations/' + id + '/approve', { approvedBy }); },
+      previewScriptRewrites(id) { return this.request('POST', '/api/migrations/' + id + '/script-rewrites'); },
+      applyScriptRewrites(id, appIds, approvedBy) { return this.request('POST', '/api/migrations/' + id + '/script-rewrites/apply', { appIds, approvedBy }); },
+      async download(endpoint, fileName) {
+        const response = await fetch(API_BASE + endpoint, { headers: { 'X-Tenant-Id': this.tenantId || '', 'X-Api-Token': API_TOKEN } });
+        if (!response.ok) throw new Error('Download failed');
+        const url = URL.createObjectURL(await response.blob());
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        a.click();
+        URL.revokeObjectURL(url);
+      },
     };
 
+    const DEFAULT_FILTER = { search: '', include: '', exclude: '', regex: false, extensions: '', minMb: '', maxMb: '', modifiedFrom: '', modifiedTo: '', owner: '', sort: 'name' };
+
     let state = {
-      isConnected: !!localStorage.getItem('tenantId'),
-      tenantUrl: localStorage.getItem('tenantUrl') || '',
+      isConnected: !!sessionStorage.getItem('tenantId'),
+      sessionExpired: false,
+      tenantUrl: sessionStorage.getItem('tenantUrl') || '',
+      extraTenants: JSON.parse(sessionStorage.getItem('extraTenants') || '[]'),
+      profiles: { exists: false, unlocked: false, profiles: [] },
       currentPage: 'dashboard',
       spaces: [],
+      spaceForm: null,
+      spaceCompare: null,
       migrations: [],
-      wizard: { step: 1, sourceSpace: null, targetSpace: null, connections: [], files: [], selectedItems: [], migration: null, migrationItems: [], conflicts: [], progress: null }
+      batches: [],
+      batch: null,
+      batchView: null,
+      schedules: [],
+      scheduleForm: null,
+      wizard: { step: 1, sourceTenantId: null, targetTenantId: null, sourceSpaces: null, targetSpaces: null, connectingTenant: false, sourceSpace: null, targetSpace: null, connections: [], files: [], apps: [], selectedItems: [], filter: DEFAULT_FILTER, owners: {}, fromManifest: false, mode: 'copy', dryRun: false, publishApps: false, conflictStrategy: 'skip', renameTemplate: '', bulkRenameTemplate: '', maxAttempts: 5, concurrency: { connections: 2, files: 4, apps: 1 }, migration: null, migrationItems: [], plan: null, conflicts: [], progress: null, log: [], loading: null, expandedFolders: [] }
     };
 
     function setState(u) { state = { ...state, ...u }; render(); }
     function setWizardState(u) { state.wizard = { ...state.wizard, ...u }; render(); }
     function formatBytes(b) { if (b === 0) return '0 B'; const k = 1024; const s = ['B', 'KB', 'MB', 'GB']; const i = Math.floor(Math.log(b) / Math.log(k)); return parseFloat((b / Math.pow(k, i)).toFixed(2)) + ' ' + s[i]; }
+    function formatDuration(sec) { if (sec == null) return '-'; if (sec < 60) return sec + 's'; const m = Math.floor(sec / 60); return m < 60 ? m + 'm ' + (sec % 60) + 's' : Math.floor(m / 60) + 'h ' + (m % 60) + 'm'; }
     function esc(t) { const d = document.createElement('div'); d.textContent = t; return d.innerHTML; }
+    function attr(t) { return esc(String(t)).replace(/"/g, '&quot;'); }
+
+    function renderSavedProfiles() {
+      const p = state.profiles;
+      if (!p.profiles.length) return '';
+      return '<div class="text-left mb-6"><div class="flex items-center justify-between mb-2"><h3 class="font-medium">Saved tenants</h3>' + (p.unlocked ? '<button class="btn btn-ghost" onclick="lockProfiles()">Lock</button>' : '') + '</div>' + (p.unlocked ? '' : '<div class="form-group"><input type="password" id="profilePassphrase" class="form-input" placeholder="Passphrase"></div>') + p.profiles.map(x => '<div class="flex items-center gap-2 mb-2"><button class="btn btn-secondary btn-block" onclick="connectProfile(\\'' + x.id + '\\')">' + Icons.database + ' ' + esc(x.name) + (x.name !== x.tenantUrl ? ' <span class="text-xs text-gray-500">' + esc(x.tenantUrl) + '</span>' : '') + '</button><button class="btn btn-ghost" title="Forget this tenant" onclick="deleteProfile(\\'' + x.id + '\\')">×</button></div>').join('') + '<div id="profileError" class="alert alert-error hidden"></div>' + (p.unlocked ? '' : '<button class="btn btn-ghost" onclick="forgetProfiles()">Forgot the passphrase?</button>') + '<p class="text-sm text-gray-500 text-center mt-2">or connect with an API key</p></div>';
+    }
+
+    function renderSaveProfileFields() {
+      const p = state.profiles;
+      return '<div class="form-group"><label class="flex items-center gap-2 text-sm"><input type="checkbox" id="saveProfile" onchange="document.getElementById(\\'saveProfileFields\\').classList.toggle(\\'hidden\\', !this.checked)"> Save this tenant on this computer</label><div id="saveProfileFields" class="hidden mt-2"><input type="text" id="profileName" class="form-input mb-2" placeholder="Name, e.g. Production">' + (p.unlocked ? '' : '<input type="password" id="savePassphrase" class="form-input" placeholder="' + (p.exists ? 'Passphrase for saved tenants' : 'Choose a passphrase') + '"><p class="form-hint">' + (p.exists ? 'The same passphrase that unlocks your other saved tenants.' : 'The API key is stored encrypted with this passphrase. The passphrase itself is not stored.') + '</p>') + '</div></div>';
+    }
 
     function renderLoginPage() {
-      return '<div class="login-page"><div class="card login-card"><div class="card-body text-center"><div class="login-logo">' + Icons.database.replace('class="icon"', 'class="icon icon-lg" style="color:var(--emerald-600)"') + '</div><h1 class="text-2xl font-bold mb-2">Qlik Migration Tool</h1><p class="text-gray-500 mb-6">Connect to your Qlik Cloud tenant</p><form onsubmit="handleLogin(event)" class="text-left"><div class="form-group"><label class="form-label">Tenant URL</label><input type="text" id="tenantUrl" class="form-input" placeholder="your-tenant.us.qlikcloud.com" required></div><div class="form-group"><label class="form-label">API Key</label><input type="password" id="apiKey" class="form-input" placeholder="Enter your API key" required><p class="form-hint">Generate at Settings → API Keys</p></div><div id="loginError" class="alert alert-error hidden"></div><button type="submit" id="loginBtn" class="btn btn-primary btn-block">Connect to Qlik Cloud</button></form></div></div></div>';
+      return '<div class="login-page"><div class="card login-card"><div class="card-body text-center"><div class="login-logo">' + Icons.database.replace('class="icon"', 'class="icon icon-lg" style="color:var(--emerald-600)"') + '</div><h1 class="text-2xl font-bold mb-2">Qlik Migration Tool</h1><p class="text-gray-500 mb-6">Connect to your Qlik Cloud tenant</p>' + (state.sessionExpired ? '<div class="alert alert-warning mb-4 text-left">Your session has expired. Connect again to continue.</div>' : '') + renderSavedProfiles() + '<form onsubmit="handleLogin(event)" class="text-left"><div class="form-group"><label class="form-label">Tenant URL</label><input type="text" id="tenantUrl" class="form-input" placeholder="your-tenant.us.qlikcloud.com" required></div><div class="form-group"><label class="form-label">API Key</label><input type="password" id="apiKey" class="form-input" placeholder="Enter your API key" required><p class="form-hint">Generate at Settings → API Keys</p></div>' + renderSaveProfileFields() + '<div id="loginError" class="alert alert-error hidden"></div><button type="submit" id="loginBtn" class="btn btn-primary btn-block">Connect to Qlik Cloud</button></form></div></div></div>';
     }
 
     function renderSidebar() {
-      const items = [{ id: 'dashboard', label: 'Dashboard', icon: 'layout' }, { id: 'spaces', label: 'Spaces', icon: 'folder' }, { id: 'migrations', label: 'New Migration', icon: 'copy' }, { id: 'history', label: 'History', icon: 'history' }];
-      return '<div class="sidebar"><div class="sidebar-header"><div class="sidebar-logo">' + Icons.database.replace('class="icon"', 'style="width:20px;height:20px;color:white"') + '</div><div><div class="sidebar-title">Migration Tool</div><div class="sidebar-subtitle">' + esc(state.tenantUrl) + '</div></div></div><nav class="sidebar-nav">' + items.map(i => '<button class="nav-item ' + (state.currentPage === i.id ? 'active' : '') + '" onclick="navigate(\\'' + i.id + '\\')">' + Icons[i.icon] + '<span>' + i.label + '</span></button>').join('') + '</nav><div class="sidebar-footer"><button class="nav-item" onclick="handleDisconnect()">' + Icons.logOut + '<span>Disconnect</span></button></div></div>';
+      const items = [{ id: 'dashboard', label: 'Dashboard', icon: 'layout' }, { id: 'spaces', label: 'Spaces', icon: 'folder' }, { id: 'migrations', label: 'New Migration', icon: 'copy' }, { id: 'batches', label: 'Batch Migration', icon: 'play' }, { id: 'schedules', label: 'Schedules', icon: 'clock' }, { id: 'history', label: 'History', icon: 'history' }];
+      return '<div class="sidebar"><div class="sidebar-header"><div class="sidebar-logo">' + Icons.database.replace('class="icon"', 'style="width:20px;height:20px;color:white"') + '</div><div><div class="sidebar-title">Migration Tool</div><div class="sidebar-subtitle">' + esc(state.tenantUrl) + '</div></div></div><nav class="sidebar-nav">' + items.map(i => '<button class="nav-item ' + (state.currentPage === i.id ? 'active' : '') + '" onclick="navigate(\\'' + i.id + '\\')">' + Icons[i.icon] + '<span>' + i.label + '</span></button>').join('') + '</nav><div class="sidebar-footer">' + (state.profiles.profiles.some(p => p.tenantUrl !== state.tenantUrl) ? '<select class="sidebar-select" onchange="switchProfile(this.value)"><option value="">Switch tenant...</option>' + state.profiles.profiles.filter(p => p.tenantUrl !== state.tenantUrl).map(p => '<option value="' + p.id + '">' + esc(p.name) + '</option>').join('') + '</select>' : '') + '<button class="nav-item" onclick="handleDisconnect()">' + Icons.logOut + '<span>Disconnect</span></button></div></div>';
     }
 
     function renderDashboard() {
@@ -660,41 +3501,228 @@ function getHTML() {
     }
 
     function renderSpaces() {
-      return '<div><div class="flex items-center justify-between mb-6"><div><h1 class="text-2xl font-bold">Spaces</h1><p class="text-gray-600">Browse your Qlik Cloud spaces</p></div><button class="btn btn-secondary" onclick="loadSpaces()">' + Icons.refresh + ' Refresh</button></div><div class="grid grid-2">' + state.spaces.map(s => '<div class="card p-4"><div class="flex items-center gap-4"><div class="stat-icon" style="background:' + (s.type === 'shared' ? 'var(--purple-100)' : 'var(--cyan-100)') + '">' + Icons.folder.replace('class="icon"', 'class="icon" style="color:' + (s.type === 'shared' ? 'var(--purple-600)' : 'var(--cyan-600)') + '"') + '</div><div class="flex-1"><p class="font-medium">' + esc(s.name) + '</p><p class="text-sm text-gray-500">ID: ' + s.id.substring(0, 8) + '...</p></div><span class="badge ' + (s.type === 'shared' ? 'badge-purple' : 'badge-cyan') + '">' + s.type + '</span></div></div>').join('') + '</div></div>';
+      const types = (selected) => ['shared', 'managed'].map(t => '<option value="' + t + '" ' + (selected === t ? 'selected' : '') + '>' + t + '</option>').join('');
+      return '<div><div class="flex items-center justify-between mb-6"><div><h1 class="text-2xl font-bold">Spaces</h1><p class="text-gray-600">Browse and manage your Qlik Cloud spaces</p></div><div class="flex gap-2"><button class="btn btn-primary" onclick="setState({ spaceForm: { mode: \\'create\\' } })">' + Icons.plus + ' New Space</button><button class="btn btn-secondary" onclick="setState({ spaceCompare: state.spaceCompare ? null : { aId: \\'\\', bId: \\'\\', bTenantId: null, bSpaces: null } })">Compare</button><button class="btn btn-secondary" onclick="loadSpaces()">' + Icons.refresh + ' Refresh</button></div></div>' + (state.spaceForm ? renderSpaceForm(types) : '') + (state.spaceCompare ? renderSpaceCompare() : '') + '<div class="grid grid-2">' + state.spaces.map(s => '<div class="card p-4"><div class="flex items-center gap-4"><div class="stat-icon" style="background:' + (s.type === 'shared' ? 'var(--purple-100)' : 'var(--cyan-100)') + '">' + Icons.folder.replace('class="icon"', 'class="icon" style="color:' + (s.type === 'shared' ? 'var(--purple-600)' : 'var(--cyan-600)') + '"') + '</div><div class="flex-1"><p class="font-medium">' + esc(s.name) + '</p><p class="text-sm text-gray-500">ID: ' + s.id.substring(0, 8) + '...</p></div><span class="badge ' + (s.type === 'shared' ? 'badge-purple' : 'badge-cyan') + '">' + s.type + '</span></div><div class="flex gap-2 mt-2"><button class="btn btn-ghost" onclick="setState({ spaceForm: { mode: \\'rename\\', spaceId: \\'' + s.id + '\\' } })">Rename</button><button class="btn btn-ghost" onclick="setState({ spaceForm: { mode: \\'clone\\', spaceId: \\'' + s.id + '\\' } })">' + Icons.copy + ' Clone</button></div></div>').join('') + '</div></div>';
+    }
+
+    // One form for creating, renaming and cloning, shown above the space list
+    function renderSpaceForm(types) {
+      const { mode, spaceId } = state.spaceForm;
+      const space = state.spaces.find(s => s.id === spaceId);
+      const title = mode === 'create' ? 'New Space' : mode === 'rename' ? 'Rename ' + esc(space.name) : 'Clone ' + esc(space.name);
+      const name = mode === 'rename' ? space.name : mode === 'clone' ? space.name + ' (copy)' : '';
+      const fields = '<div class="grid grid-2 gap-2 mb-2"><input type="text" id="spaceFormName" class="form-input" placeholder="Space name" value="' + attr(name) + '">' + (mode === 'rename' ? '' : '<select id="spaceFormType" class="form-input">' + types(space ? space.type : 'shared') + '</select>') + '</div>';
+      const clone = mode !== 'clone' ? '' : (state.extraTenants.length ? '<select id="spaceFormTenant" class="form-input mb-2"><option value="">Into ' + esc(state.tenantUrl) + '</option>' + state.extraTenants.map(t => '<option value="' + t.tenantId + '">Into ' + esc(t.tenantUrl) + '</option>').join('') + '</select>' : '') + '<label class="flex items-center gap-2 text-sm mb-2"><input type="checkbox" id="spaceFormMembers" checked> Copy members and their roles (same tenant only)</label><p class="form-hint mb-2">Creates the space, then copies every data connection and data file into it in one migration run.</p>';
+      return '<div class="card p-4 mb-6"><h4 class="font-medium mb-2">' + title + '</h4>' + fields + clone + '<div id="spaceFormError" class="alert alert-error hidden"></div><div class="flex gap-2"><button class="btn btn-primary" id="spaceFormBtn" onclick="submitSpaceForm()">' + (mode === 'create' ? 'Create' : mode === 'rename' ? 'Save' : 'Clone') + '</button><button class="btn btn-ghost" onclick="setState({ spaceForm: null })">Cancel</button></div></div>';
     }
 
     function renderMigrationWizard() {
-      const { step, sourceSpace, targetSpace, connections, files, selectedItems, migration, migrationItems, progress } = state.wizard;
+      const { step, sourceSpace, targetSpace, connections, files, apps, selectedItems, mode, dryRun, publishApps, conflictStrategy, renameTemplate, bulkRenameTemplate, maxAttempts, concurrency, migration, migrationItems, plan, progress, loading } = state.wizard;
       const steps = [{ n: 1, l: 'Spaces' }, { n: 2, l: 'Items' }, { n: 3, l: 'Review' }, { n: 4, l: 'Progress' }, { n: 5, l: 'Done' }];
       let content = '';
 
       if (step === 1) {
-        content = '<div class="grid grid-2 gap-4 mb-6"><div><h3 class="font-medium mb-4">Source Space (copy FROM)</h3><div class="max-h-64 overflow-auto">' + state.spaces.map(s => '<div class="selectable-item ' + (sourceSpace?.id === s.id ? 'selected' : '') + '" onclick="selectSourceSpace(\\'' + s.id + '\\')"><div class="flex-1"><span class="font-medium">' + esc(s.name) + '</span></div><span class="badge ' + (s.type === 'shared' ? 'badge-purple' : 'badge-cyan') + '">' + s.type + '</span></div>').join('') + '</div></div><div><h3 class="font-medium mb-4">Target Space (copy TO)</h3><div class="max-h-64 overflow-auto">' + state.spaces.filter(s => s.id !== sourceSpace?.id).map(s => '<div class="selectable-item ' + (targetSpace?.id === s.id ? 'selected' : '') + ' ' + (!sourceSpace ? 'opacity-50' : '') + '" onclick="' + (sourceSpace ? "selectTargetSpace('" + s.id + "')" : '') + '"><div class="flex-1"><span class="font-medium">' + esc(s.name) + '</span></div><span class="badge ' + (s.type === 'shared' ? 'badge-purple' : 'badge-cyan') + '">' + s.type + '</span></div>').join('') + '</div></div></div>' + (sourceSpace && targetSpace ? '<div class="alert alert-success mb-6"><strong>' + esc(sourceSpace.name) + '</strong><span style="margin:0 8px">→</span><strong>' + esc(targetSpace.name) + '</strong></div>' : '') + '<div class="flex justify-end"><button class="btn btn-primary" ' + (!sourceSpace || !targetSpace ? 'disabled' : '') + ' onclick="wizardNext()">Next: Select Items ' + Icons.chevronRight + '</button></div>';
+        const sourceList = state.wizard.sourceSpaces || state.spaces;
+        const targetList = state.wizard.targetSpaces || state.spaces;
+        const sameTenant = state.wizard.sourceTenantId === state.wizard.targetTenantId;
+        content = '<div class="grid grid-2 gap-4 mb-6"><div><h3 class="font-medium mb-4">Source Space (copy FROM)</h3>' + renderTenantPicker('source') + '<div class="max-h-64 overflow-auto">' + sourceList.map(s => '<div class="selectable-item ' + (sourceSpace?.id === s.id ? 'selected' : '') + '" onclick="selectSourceSpace(\\'' + s.id + '\\')"><div class="flex-1"><span class="font-medium">' + esc(s.name) + '</span></div><span class="badge ' + (s.type === 'shared' ? 'badge-purple' : 'badge-cyan') + '">' + s.type + '</span></div>').join('') + '</div></div><div><h3 class="font-medium mb-4">Target Space (copy TO)</h3>' + renderTenantPicker('target') + '<div class="max-h-64 overflow-auto">' + targetList.filter(s => !sameTenant || s.id !== sourceSpace?.id).map(s => '<div class="selectable-item ' + (targetSpace?.id === s.id ? 'selected' : '') + ' ' + (!sourceSpace ? 'opacity-50' : '') + '" onclick="' + (sourceSpace ? "selectTargetSpace('" + s.id + "')" : '') + '"><div class="flex-1"><span class="font-medium">' + esc(s.name) + '</span></div><span class="badge ' + (s.type === 'shared' ? 'badge-purple' : 'badge-cyan') + '">' + s.type + '</span></div>').join('') + '</div>' + renderNewTargetSpace() + '</div></div>' + (state.wizard.connectingTenant ? '<div class="border rounded-lg p-4 mb-6"><h4 class="font-medium mb-2">Connect Another Tenant</h4>' + renderExtraProfiles() + '<div class="grid grid-2 gap-2 mb-2"><input type="text" id="extraTenantUrl" class="form-input" placeholder="other-tenant.eu.qlikcloud.com"><input type="password" id="extraApiKey" class="form-input" placeholder="API key for that tenant"></div><div id="extraTenantError" class="alert alert-error hidden"></div><div class="flex gap-2"><button class="btn btn-primary" id="extraTenantBtn" onclick="handleConnectAdditional()">Connect</button><button class="btn btn-ghost" onclick="setWizardState({ connectingTenant: false })">Cancel</button></div></div>' : '<div class="mb-4"><button class="btn btn-ghost" onclick="setWizardState({ connectingTenant: true })">' + Icons.plus + ' Connect another tenant</button></div>') + (sourceSpace && targetSpace ? '<div class="alert alert-success mb-6"><strong>' + esc(sourceSpace.name) + '</strong><span style="margin:0 8px">→</span><strong>' + esc(targetSpace.name) + '</strong>' + (!sameTenant ? '<span class="badge badge-amber">cross-tenant</span>' : '<button class="btn btn-ghost" style="margin-left:auto" onclick="copyMembersToTarget()">Copy members to target</button>') + '</div>' : '') + (state.wizard.membersResult ? '<div class="alert alert-info mb-6">' + esc(state.wizard.membersResult) + '</div>' : '') + (loading && loading.pages > 1 ? '<div class="alert alert-info mb-4">' + Icons.loader + ' Loading items from ' + esc(sourceSpace.name) + ': ' + loading.items + ' items across ' + loading.pages + ' pages...</div>' : '') + '<div class="flex justify-between"><label class="btn btn-ghost" title="Start from a saved JSON or YAML manifest">' + Icons.file + ' Load manifest<input type="file" accept=".json,.yaml,.yml" class="hidden" onchange="loadManifest(this)"></label><button class="btn btn-primary" ' + (!sourceSpace || !targetSpace || loading ? 'disabled' : '') + ' onclick="wizardNext()">' + (loading ? Icons.loader + ' Loading...' : 'Next: Select Items ' + Icons.chevronRight) + '</button></div>';
       } else if (step === 2) {
-        content = '<div class="alert alert-info mb-4">' + esc(sourceSpace.name) + ' → ' + esc(targetSpace.name) + ' | ' + selectedItems.length + ' items selected (' + formatBytes(selectedItems.reduce((s, i) => s + (i.sizeBytes || 0), 0)) + ')</div><div class="grid grid-2 gap-4 mb-6"><div><div class="flex items-center justify-between mb-4"><h3 class="font-medium">Data Connections (' + connections.length + ')</h3><button class="btn btn-ghost" onclick="selectAllConnections()">Select All</button></div><div class="border rounded-lg p-2 max-h-64 overflow-auto">' + (connections.length === 0 ? '<p class="text-center text-gray-500 p-4">No connections</p>' : connections.map(c => { const sel = selectedItems.some(i => i.sourceId === c.qID); return '<div class="selectable-item ' + (sel ? 'selected' : '') + '" onclick="toggleItem(\\'' + c.qID + '\\',\\'connection\\',\\'' + esc(c.qName).replace(/'/g, "\\\\'") + '\\',0)"><div class="checkbox">' + (sel ? Icons.check.replace('class="', 'class="text-white ') : '') + '</div>' + Icons.database + '<span class="flex-1 truncate">' + esc(c.qName) + '</span></div>'; }).join('')) + '</div></div><div><div class="flex items-center justify-between mb-4"><h3 class="font-medium">Data Files (' + files.length + ')</h3><button class="btn btn-ghost" onclick="selectAllFiles()">Select All</button></div><div class="border rounded-lg p-2 max-h-64 overflow-auto">' + (files.length === 0 ? '<p class="text-center text-gray-500 p-4">No files</p>' : files.map(f => { const t = f.folder ? 'folder' : 'file'; const sel = selectedItems.some(i => i.sourceId === f.id); return '<div class="selectable-item ' + (sel ? 'selected' : '') + '" onclick="toggleItem(\\'' + f.id + '\\',\\'' + t + '\\',\\'' + esc(f.name || f.baseName).replace(/'/g, "\\\\'") + '\\',' + (f.size || 0) + ')"><div class="checkbox">' + (sel ? Icons.check.replace('class="', 'class="text-white ') : '') + '</div>' + (f.folder ? Icons.folder : Icons.file) + '<span class="flex-1 truncate">' + esc(f.name || f.baseName) + '</span>' + (!f.folder ? '<span class="text-xs text-gray-500">' + formatBytes(f.size || 0) + '</span>' : '') + '</div>'; }).join('')) + '</div></div></div><div class="flex justify-between"><button class="btn btn-secondary" onclick="wizardBack()">Back</button><button class="btn btn-primary" ' + (selectedItems.length === 0 ? 'disabled' : '') + ' onclick="createMigration()">Next: Review ' + Icons.chevronRight + '</button></div>';
+        const keep = itemFilter();
+        const filtered = filterActive();
+        const shownConnections = sortEntries('connection', connections.filter(c => keep('connection', c)));
+        const shownApps = sortEntries('app', apps.filter(a => keep('app', a)));
+        // While filtering, files are listed flat by path instead of as a tree
+        const shownFiles = filtered ? sortEntries('file', files.filter(f => !f.folder && keep('file', f))) : null;
+        const countLabel = (shown, total) => filtered ? shown + ' of ' + total : total;
+        const selectLabel = filtered ? 'Select Filtered' : 'Select All';
+        content = '<div class="alert alert-info mb-4">' + esc(sourceSpace.name) + ' → ' + esc(targetSpace.name) + ' | ' + selectedItems.length + ' items selected (' + formatBytes(selectedItems.reduce((s, i) => s + (i.sizeBytes || 0), 0)) + ')</div>' + renderFilterBar(shownConnections.length + (shownFiles ? shownFiles.length : files.length) + shownApps.length) + '<div class="grid grid-3 gap-4 mb-6"><div><div class="flex items-center justify-between mb-4"><h3 class="font-medium">Data Connections (' + countLabel(shownConnections.length, connections.length) + ')</h3><button class="btn btn-ghost" onclick="selectAllConnections()">' + selectLabel + '</button></div><div class="border rounded-lg p-2 max-h-64 overflow-auto">' + (shownConnections.length === 0 ? '<p class="text-center text-gray-500 p-4">No connections</p>' : shownConnections.map(c => { const sel = selectedItems.some(i => i.sourceId === c.qID); return '<div class="selectable-item ' + (sel ? 'selected' : '') + '" onclick="toggleItem(\\'' + c.qID + '\\',\\'connection\\',\\'' + esc(c.qName).replace(/'/g, "\\\\'") + '\\',0)"><div class="checkbox">' + (sel ? Icons.check.replace('class="', 'class="text-white ') : '') + '</div>' + Icons.database + '<span class="flex-1 truncate">' + esc(c.qName) + '</span></div>'; }).join('')) + '</div></div><div><div class="flex items-center justify-between mb-4"><h3 class="font-medium">Data Files (' + countLabel(shownFiles ? shownFiles.length : files.length, files.filter(f => !filtered || !f.folder).length) + ')</h3><button class="btn btn-ghost" onclick="selectAllFiles()">' + selectLabel + '</button></div><div class="border rounded-lg p-2 max-h-64 overflow-auto">' + ((shownFiles || files).length === 0 ? '<p class="text-center text-gray-500 p-4">No files</p>' : shownFiles ? shownFiles.map(f => renderFileNode({ entry: f }, 0, coveredByFolder(filePath(f)), true)).join('') : buildFileTree(files).map(n => renderFileNode(n, 0, false)).join('')) + '</div></div><div><div class="flex items-center justify-between mb-4"><h3 class="font-medium">Apps (' + countLabel(shownApps.length, apps.length) + ')</h3><button class="btn btn-ghost" onclick="selectAllApps()">' + selectLabel + '</button></div><div class="border rounded-lg p-2 max-h-64 overflow-auto">' + (shownApps.length === 0 ? '<p class="text-center text-gray-500 p-4">No apps</p>' : shownApps.map(a => { const sel = selectedItems.some(i => i.sourceId === a.resourceId); return '<div class="selectable-item ' + (sel ? 'selected' : '') + '" onclick="toggleItem(\\'' + a.resourceId + '\\',\\'app\\',\\'' + esc(a.name).replace(/'/g, "\\\\'") + '\\',' + appSize(a) + ')"><div class="checkbox">' + (sel ? Icons.check.replace('class="', 'class="text-white ') : '') + '</div>' + Icons.layout + '<span class="flex-1 truncate">' + esc(a.name) + '</span><span class="text-xs text-gray-500">' + formatBytes(appSize(a)) + '</span></div>'; }).join('')) + '</div></div></div><div class="flex items-center gap-4 mb-6"><span class="text-sm font-medium">Mode:</span><label class="flex items-center gap-2 text-sm"><input type="radio" name="mode" ' + (mode === 'copy' ? 'checked' : '') + ' onchange="setWizardState({ mode: \\'copy\\' })"> Copy (keep originals)</label><label class="flex items-center gap-2 text-sm"><input type="radio" name="mode" ' + (mode === 'move' ? 'checked' : '') + ' onchange="setWizardState({ mode: \\'move\\' })"> Move (delete originals after copying)</label><label class="flex items-center gap-2 text-sm" style="margin-left:auto"><input type="checkbox" ' + (dryRun ? 'checked' : '') + ' onchange="setWizardState({ dryRun: this.checked })"> Dry run (plan only, requires approval)</label>' + (targetSpace.type === 'managed' ? '<label class="flex items-center gap-2 text-sm"><input type="checkbox" ' + (publishApps ? 'checked' : '') + ' onchange="setWizardState({ publishApps: this.checked })"> Publish apps to this managed space</label>' : '') + '</div><div class="flex items-center gap-4 mb-6"><span class="text-sm font-medium">Parallel connections:</span><input type="number" min="1" max="16" class="form-input" style="width:70px" value="' + concurrency.connections + '" onchange="setWizardState({ concurrency: { ...state.wizard.concurrency, connections: parseInt(this.value, 10) || 1 } })"><span class="text-sm font-medium">Parallel files:</span><input type="number" min="1" max="16" class="form-input" style="width:70px" value="' + concurrency.files + '" onchange="setWizardState({ concurrency: { ...state.wizard.concurrency, files: parseInt(this.value, 10) || 1 } })"><span class="text-sm font-medium">Parallel apps:</span><input type="number" min="1" max="16" class="form-input" style="width:70px" value="' + concurrency.apps + '" onchange="setWizardState({ concurrency: { ...state.wizard.concurrency, apps: parseInt(this.value, 10) || 1 } })"><span class="text-sm font-medium">Attempts per request:</span><input type="number" min="1" max="10" class="form-input" style="width:80px" value="' + maxAttempts + '" onchange="setWizardState({ maxAttempts: parseInt(this.value, 10) || 5 })"><span class="text-sm font-medium">If an item already exists in the target:</span><select class="form-input" style="width:auto" onchange="setWizardState({ conflictStrategy: this.value })">' + [['skip', 'Skip it'], ['rename', 'Copy with a new name'], ['overwrite', 'Overwrite it (keeps its ID)']].map(([v, l]) => '<option value="' + v + '" ' + (conflictStrategy === v ? 'selected' : '') + '>' + l + '</option>').join('') + '</select></div><div class="grid grid-2 gap-4 mb-6"><div><label class="form-label">Rename template for conflicts</label><input type="text" class="form-input" value="' + attr(renameTemplate) + '" placeholder="{base}_copy{ext}" onchange="setWizardState({ renameTemplate: this.value })"></div><div><label class="form-label">Bulk rename all items (optional)</label><input type="text" class="form-input" value="' + attr(bulkRenameTemplate) + '" placeholder="PROD_{base}{ext}" onchange="setWizardState({ bulkRenameTemplate: this.value })"></div><p class="form-hint" style="grid-column:span 2">Tokens: {base} {ext} {n} {date} {sourceSpace} {targetSpace}. Renames keep the file extension and count up to the next free name. Resulting names are shown on the Review step.</p></div><div class="flex justify-between"><button class="btn btn-secondary" onclick="wizardBack()">Back</button><div class="flex gap-2">' + (!state.wizard.sourceTenantId ? '<button class="btn btn-secondary" ' + (selectedItems.length === 0 ? 'disabled' : '') + ' onclick="addWizardPairToBatch()">' + Icons.plus + ' Add to batch</button>' : '') + '<button class="btn btn-primary" ' + (selectedItems.length === 0 ? 'disabled' : '') + ' onclick="createMigration()">Next: Review ' + Icons.chevronRight + '</button></div></div>';
       } else if (step === 3) {
         const cc = migrationItems.filter(i => i.itemType === 'connection').length;
-        const fc = migrationItems.filter(i => i.itemType !== 'connection').length;
+        const fc = migrationItems.filter(i => i.itemType === 'file' || i.itemType === 'folder').length;
+        const ac = migrationItems.filter(i => i.itemType === 'app').length;
         const ts = migrationItems.reduce((s, i) => s + (i.sizeBytes || 0), 0);
-        content = '<div class="text-center mb-6"><h3 class="text-lg font-medium">Ready to Start Migration</h3><p class="text-gray-600">Review the details below.</p></div><div class="grid grid-2 gap-4 mb-6"><div class="p-4 bg-gray-50 rounded-lg"><p class="text-sm text-gray-500">Source Space</p><p class="font-medium">' + esc(migration.sourceSpaceName) + '</p></div><div class="p-4 bg-gray-50 rounded-lg"><p class="text-sm text-gray-500">Target Space</p><p class="font-medium">' + esc(migration.targetSpaceName) + '</p></div></div><div class="grid grid-3 gap-4 mb-6"><div class="p-4 bg-emerald-50 rounded-lg text-center">' + Icons.database.replace('class="icon"', 'class="icon icon-lg" style="color:var(--emerald-600);margin:0 auto 8px"') + '<p class="text-2xl font-bold text-emerald-700">' + cc + '</p><p class="text-sm text-emerald-600">Connections</p></div><div class="p-4" style="background:var(--blue-50);border-radius:8px;text-center">' + Icons.file.replace('class="icon"', 'class="icon icon-lg" style="color:var(--blue-600);margin:0 auto 8px"') + '<p class="text-2xl font-bold" style="color:var(--blue-700)">' + fc + '</p><p class="text-sm" style="color:var(--blue-600)">Files/Folders</p></div><div class="p-4" style="background:var(--purple-100);border-radius:8px;text-center">' + Icons.copy.replace('class="icon"', 'class="icon icon-lg" style="color:var(--purple-600);margin:0 auto 8px"') + '<p class="text-2xl font-bold" style="color:var(--purple-700)">' + formatBytes(ts) + '</p><p class="text-sm" style="color:var(--purple-600)">Total Size</p></div></div><div class="alert alert-info mb-6"><strong>Note:</strong> This will COPY items. Originals remain in the source space.</div><div class="flex justify-between"><button class="btn btn-secondary" onclick="wizardBack()">Back</button><button class="btn btn-primary" onclick="startMigration()">' + Icons.play + ' Start Migration</button></div>';
+        const isMove = migration.options?.mode === 'move';
+        const isPlanned = migration.status === 'planned';
+        const blocked = !!migration.preflight?.blocking;
+        content = '<div class="text-center mb-6"><h3 class="text-lg font-medium">Ready to Start Migration</h3><p class="text-gray-600">Review the details below.</p></div><div class="grid grid-2 gap-4 mb-6"><div class="p-4 bg-gray-50 rounded-lg"><p class="text-sm text-gray-500">Source Space</p><p class="font-medium">' + esc(migration.sourceSpaceName) + '</p>' + (migration.crossTenant ? '<p class="text-xs text-gray-500">' + esc(migration.tenantUrl) + '</p>' : '') + '</div><div class="p-4 bg-gray-50 rounded-lg"><p class="text-sm text-gray-500">Target Space</p><p class="font-medium">' + esc(migration.targetSpaceName) + '</p>' + (migration.crossTenant ? '<p class="text-xs text-gray-500">' + esc(migration.targetTenantUrl) + '</p>' : '') + '</div></div><div class="grid grid-4 gap-4 mb-6"><div class="p-4 bg-emerald-50 rounded-lg text-center">' + Icons.database.replace('class="icon"', 'class="icon icon-lg" style="color:var(--emerald-600);margin:0 auto 8px"') + '<p class="text-2xl font-bold text-emerald-700">' + cc + '</p><p class="text-sm text-emerald-600">Connections</p></div><div class="p-4" style="background:var(--blue-50);border-radius:8px;text-center">' + Icons.file.replace('class="icon"', 'class="icon icon-lg" style="color:var(--blue-600);margin:0 auto 8px"') + '<p class="text-2xl font-bold" style="color:var(--blue-700)">' + fc + '</p><p class="text-sm" style="color:var(--blue-600)">Files/Folders</p></div><div class="p-4" style="background:var(--amber-50);border-radius:8px;text-center">' + Icons.layout.replace('class="icon"', 'class="icon icon-lg" style="color:var(--amber-500);margin:0 auto 8px"') + '<p class="text-2xl font-bold" style="color:var(--amber-700)">' + ac + '</p><p class="text-sm" style="color:var(--amber-700)">Apps' + (migration.options?.publishApps ? ' (published)' : '') + '</p></div><div class="p-4" style="background:var(--purple-100);border-radius:8px;text-center">' + Icons.copy.replace('class="icon"', 'class="icon icon-lg" style="color:var(--purple-600);margin:0 auto 8px"') + '<p class="text-2xl font-bold" style="color:var(--purple-700)">' + formatBytes(ts) + '</p><p class="text-sm" style="color:var(--purple-600)">Total Size</p></div></div>' + (migration.crossTenant && cc > 0 ? '<div class="alert alert-warning mb-4"><strong>Cross-tenant:</strong> connections are recreated from their definitions. Stored credentials cannot be exported and must be re-entered in the target tenant.</div>' : '') + renderPreflight(migration.preflight) + (plan ? renderPlan(plan, isPlanned || migration.status === 'created') : '') + (plan && plan.summary.actions.overwrite ? '<div class="alert alert-warning mb-4"><strong>Overwrite:</strong> ' + plan.summary.actions.overwrite + ' existing target items will be replaced in place. Their IDs stay the same, so apps using them pick up the new content.</div>' : '') + (isPlanned ? '<div class="alert alert-warning mb-4"><strong>Dry run:</strong> nothing has been written to the tenant. This plan must be approved before the migration can start.</div><div class="flex gap-2 mb-6"><input id="approvedBy" class="form-input" placeholder="Approved by (name or change ticket)"><button class="btn btn-secondary" onclick="approvePlan()">' + Icons.check + ' Approve Plan</button></div>' : migration.approval ? '<div class="alert alert-success mb-4">Plan approved by <strong>' + esc(migration.approval.approvedBy) + '</strong> on ' + new Date(migration.approval.approvedAt).toLocaleString() + '</div>' : '') + (isMove ? '<div class="alert alert-warning mb-4"><strong>Warning:</strong> This will MOVE items. Each source item is deleted from ' + esc(migration.sourceSpaceName) + ' once its copy is confirmed in the target space. Items that fail to copy are left in place.</div><label class="flex items-center gap-2 text-sm mb-6"><input type="checkbox" id="confirmMove" onchange="document.getElementById(\\'startBtn\\').disabled = ' + (isPlanned || blocked ? 'true' : '!this.checked') + '"> I understand that source items will be permanently deleted</label>' : '<div class="alert alert-info mb-6"><strong>Note:</strong> This will COPY items. Originals remain in the source space.</div>') + '<div class="flex justify-between"><button class="btn btn-secondary" onclick="wizardBack()">Back</button>' + (migration.batchId ? '<button class="btn btn-primary" onclick="openBatch(\\'' + migration.batchId + '\\')">Part of a batch: open the batch ' + Icons.chevronRight + '</button>' : '<button class="btn btn-primary" id="startBtn" ' + (isMove || isPlanned || blocked ? 'disabled' : '') + ' onclick="startMigration()">' + Icons.play + ' Start Migration</button>') + '</div>';
       } else if (step === 4) {
         const c = progress?.completed || 0;
         const t = progress?.total || migrationItems.length;
-        const p = t > 0 ? Math.round((c / t) * 100) : 0;
-        content = '<div class="text-center mb-6">' + Icons.loader.replace('class="icon', 'class="icon icon-xl" style="color:var(--emerald-600);margin:0 auto 16px') + '<h3 class="text-lg font-medium">Migration in Progress</h3><p class="text-gray-600">Please wait...</p></div><div class="mb-6"><div class="flex justify-between mb-2"><span class="text-sm text-gray-600">' + p + '%</span><span class="text-sm text-gray-600">' + c + ' / ' + t + ' items</span></div><div class="progress"><div class="progress-bar" style="width:' + p + '%"></div></div></div><div class="grid grid-4 gap-4"><div class="p-4 bg-gray-50 rounded-lg text-center"><p class="text-xl font-bold">' + t + '</p><p class="text-sm text-gray-500">Total</p></div><div class="p-4 bg-emerald-50 rounded-lg text-center"><p class="text-xl font-bold text-emerald-600">' + c + '</p><p class="text-sm text-emerald-600">Completed</p></div><div class="p-4 bg-red-50 rounded-lg text-center"><p class="text-xl font-bold text-red-600">' + (progress?.failed || 0) + '</p><p class="text-sm text-red-600">Failed</p></div><div class="p-4 bg-gray-50 rounded-lg text-center"><p class="text-xl font-bold text-gray-600">' + (progress?.skipped || 0) + '</p><p class="text-sm text-gray-500">Skipped</p></div></div>';
+        const p = progress?.percentage || 0;
+        content = '<div class="text-center mb-6">' + Icons.loader.replace('class="icon', 'class="icon icon-xl" style="color:var(--emerald-600);margin:0 auto 16px') + '<h3 class="text-lg font-medium">Migration in Progress</h3><p class="text-gray-600">' + (progress?.currentItems?.length ? 'Working on: ' + progress.currentItems.map(esc).join(', ') : 'Please wait...') + '</p></div><div class="mb-6"><div class="flex justify-between mb-2"><span class="text-sm text-gray-600">' + p + '%</span><span class="text-sm text-gray-600">' + c + ' / ' + t + ' items</span></div><div class="progress"><div class="progress-bar" style="width:' + p + '%"></div></div></div><div class="grid grid-4 gap-4"><div class="p-4 bg-gray-50 rounded-lg text-center"><p class="text-xl font-bold">' + t + '</p><p class="text-sm text-gray-500">Total</p></div><div class="p-4 bg-emerald-50 rounded-lg text-center"><p class="text-xl font-bold text-emerald-600">' + c + '</p><p class="text-sm text-emerald-600">Completed</p></div><div class="p-4 bg-red-50 rounded-lg text-center"><p class="text-xl font-bold text-red-600">' + (progress?.failed || 0) + '</p><p class="text-sm text-red-600">Failed</p></div><div class="p-4 bg-gray-50 rounded-lg text-center"><p class="text-xl font-bold text-gray-600">' + (progress?.skipped || 0) + '</p><p class="text-sm text-gray-500">Skipped</p></div></div><div class="flex justify-between mt-4 text-sm text-gray-600"><span>Throughput: ' + formatBytes(progress?.bytesPerSecond || 0) + '/s</span><span>' + formatBytes(progress?.bytesTransferred || 0) + ' of ' + formatBytes(progress?.bytesTotal || 0) + '</span><span>Time remaining: ' + formatDuration(progress?.etaSeconds) + '</span></div>' + (state.wizard.log.length ? '<div class="mt-4 p-2 bg-gray-50 rounded-lg text-sm text-left" style="max-height:240px;overflow-y:auto">' + state.wizard.log.slice().reverse().map(e => '<div class="' + (e.status === 'failed' ? 'text-red-600' : e.status === 'completed' ? 'text-emerald-600' : 'text-gray-600') + '">' + esc(e.time) + ' ' + esc(e.status.replace('_', ' ')) + ': ' + esc(e.name) + (e.error ? ' - ' + esc(e.error) : '') + '</div>').join('') + '</div>' : '');
       } else if (step === 5) {
         const comp = migrationItems.filter(i => i.status === 'completed').length;
         const fail = migrationItems.filter(i => i.status === 'failed').length;
         const skip = migrationItems.filter(i => i.status === 'skipped').length;
+        // Conflicts resolved as skip on Review stay skipped on retry
+        const retrySkip = migrationItems.filter(i => i.status === 'skipped' && !(i.conflictType && i.conflictResolution === 'skip')).length;
+        const retryable = fail + retrySkip > 0 || !!migration?.error;
         const ok = migration?.status === 'completed' && fail === 0;
-        content = '<div class="text-center mb-6">' + (ok ? Icons.checkCircle.replace('class="icon"', 'style="width:64px;height:64px;color:var(--emerald-500);margin:0 auto 16px"') : Icons.xCircle.replace('class="icon"', 'style="width:64px;height:64px;color:var(--amber-500);margin:0 auto 16px"')) + '<h3 class="text-xl font-medium">' + (ok ? 'Migration Completed Successfully!' : 'Completed with Issues') + '</h3></div><div class="grid grid-3 gap-4 mb-6"><div class="p-4 bg-emerald-50 rounded-lg text-center">' + Icons.checkCircle.replace('class="icon"', 'class="icon icon-lg" style="color:var(--emerald-600);margin:0 auto 8px"') + '<p class="text-2xl font-bold text-emerald-700">' + comp + '</p><p class="text-sm text-emerald-600">Completed</p></div><div class="p-4 bg-red-50 rounded-lg text-center">' + Icons.xCircle.replace('class="icon"', 'class="icon icon-lg" style="color:var(--red-500);margin:0 auto 8px"') + '<p class="text-2xl font-bold text-red-600">' + fail + '</p><p class="text-sm text-red-600">Failed</p></div><div class="p-4 bg-gray-50 rounded-lg text-center">' + Icons.skip.replace('class="icon"', 'class="icon icon-lg" style="color:var(--gray-500);margin:0 auto 8px"') + '<p class="text-2xl font-bold text-gray-700">' + skip + '</p><p class="text-sm text-gray-600">Skipped</p></div></div><div class="alert alert-info mb-6"><strong>Remember:</strong> Originals remain in the source space.</div><div class="text-center"><button class="btn btn-primary" onclick="resetWizard()">' + Icons.plus + ' Start New Migration</button></div>';
+        content = '<div class="text-center mb-6">' + (ok ? Icons.checkCircle.replace('class="icon"', 'style="width:64px;height:64px;color:var(--emerald-500);margin:0 auto 16px"') : Icons.xCircle.replace('class="icon"', 'style="width:64px;height:64px;color:var(--amber-500);margin:0 auto 16px"')) + '<h3 class="text-xl font-medium">' + (ok ? 'Migration Completed Successfully!' : 'Completed with Issues') + '</h3></div>' + (migration?.error ? '<div class="alert alert-error mb-4"><strong>The migration stopped:</strong> ' + esc(migration.error) + '</div>' : '') + '<div class="grid grid-3 gap-4 mb-6"><div class="p-4 bg-emerald-50 rounded-lg text-center">' + Icons.checkCircle.replace('class="icon"', 'class="icon icon-lg" style="color:var(--emerald-600);margin:0 auto 8px"') + '<p class="text-2xl font-bold text-emerald-700">' + comp + '</p><p class="text-sm text-emerald-600">Completed</p></div><div class="p-4 bg-red-50 rounded-lg text-center">' + Icons.xCircle.replace('class="icon"', 'class="icon icon-lg" style="color:var(--red-500);margin:0 auto 8px"') + '<p class="text-2xl font-bold text-red-600">' + fail + '</p><p class="text-sm text-red-600">Failed</p></div><div class="p-4 bg-gray-50 rounded-lg text-center">' + Icons.skip.replace('class="icon"', 'class="icon icon-lg" style="color:var(--gray-500);margin:0 auto 8px"') + '<p class="text-2xl font-bold text-gray-700">' + skip + '</p><p class="text-sm text-gray-600">Skipped</p></div></div>' + renderItemResults(migrationItems) + renderVerification(migration, migrationItems) + (migration?.options?.mode === 'move' ? '<div class="alert alert-warning mb-6"><strong>Moved:</strong> ' + migrationItems.filter(i => i.sourceDeleted).length + ' source items were deleted after copying.' + (migrationItems.some(i => i.status === 'completed' && !i.sourceDeleted) ? ' Some copied items are still in the source space.' : '') + '</div>' : '<div class="alert alert-info mb-6"><strong>Remember:</strong> Originals remain in the source space.</div>') + renderScriptRewrites(migration, migrationItems) + (retrySkip > 0 ? '<label class="flex items-center justify-center gap-2 text-sm text-gray-600 mb-4"><input type="checkbox" id="retrySkipped"> Also retry skipped items</label>' : '') + (migration?.options?.mode === 'move' && (migration.status === 'interrupted' || retryable) ? '<label class="flex items-center justify-center gap-2 text-sm text-gray-600 mb-4"><input type="checkbox" id="confirmRetryMove"> I understand that source items will be permanently deleted</label>' : '') + '<div class="flex justify-center gap-2">' + (migration?.status === 'interrupted' ? '<button class="btn btn-secondary" onclick="resumeMigration()">' + Icons.play + ' Resume</button>' : '') + (migration?.status !== 'interrupted' && retryable ? '<button class="btn btn-secondary" onclick="retryMigration()">' + Icons.refresh + ' Retry failed items</button>' : '') + '<button class="btn btn-primary" onclick="resetWizard()">' + Icons.plus + ' Start New Migration</button></div>';
       }
 
       return '<div><h1 class="text-2xl font-bold mb-2">New Migration</h1><p class="text-gray-600 mb-6">Copy connections and files between spaces</p><div class="steps">' + steps.map((s, i) => '<div class="step ' + (step > s.n ? 'completed' : step === s.n ? 'active' : '') + '"><div class="step-number">' + (step > s.n ? Icons.check : s.n) + '</div><span class="step-label">' + s.l + '</span></div>' + (i < steps.length - 1 ? '<span class="step-divider">' + Icons.chevronRight + '</span>' : '')).join('') + '</div><div class="card p-6">' + content + '</div></div>';
     }
 
+    function filePath(f) { return (f.name || f.baseName || '').replace(/\\/+$/, ''); }
+
+    // Step 2 filters. Include/exclude take comma-separated globs on the full
+    // path (* stays within a folder, ** spans folders) or one regular expression.
+    // Both are case-sensitive, like the manifest selectors on the server.
+    function escapeRegExp(t) { return t.replace(/[.+^$(){}|[\\]\\\\]/g, '\\\\$&'); }
+
+    function globToRegExp(glob) {
+      return new RegExp('^' + glob.split('**/').map(a => a.split('**').map(b => b.split('*').map(c => c.split('?').map(escapeRegExp).join('[^/]')).join('[^/]*')).join('.*')).join('(?:.*/)?') + '$');
+    }
+
+    function filterPatterns(text, regex) {
+      if (!text.trim()) return null;
+      try { return regex ? [new RegExp(text)] : text.split(',').map(p => p.trim()).filter(Boolean).map(globToRegExp); }
+      catch (e) { return []; }
+    }
+
+    function filterActive() {
+      const f = state.wizard.filter;
+      return Object.keys(DEFAULT_FILTER).some(k => k !== 'sort' && f[k] !== DEFAULT_FILTER[k]);
+    }
+
+    function itemMeta(kind, x) {
+      if (kind === 'connection') return { name: x.qName, size: 0, modified: x.updated || x.created || null, owner: x.owner || x.user || null };
+      if (kind === 'app') return { name: x.name, size: appSize(x), modified: x.updatedAt || null, owner: x.ownerId || null };
+      const p = filePath(x);
+      const base = p.substring(p.lastIndexOf('/') + 1);
+      return { name: p, ext: base.includes('.') ? base.substring(base.lastIndexOf('.') + 1).toLowerCase() : '', size: x.size || 0, modified: x.modifiedDate || null, owner: x.ownerId || null };
+    }
+
+    // Compiles the current filters once into a test for (kind, entry)
+    function itemFilter() {
+      const f = state.wizard.filter;
+      const include = filterPatterns(f.include, f.regex);
+      const exclude = filterPatterns(f.exclude, f.regex);
+      const search = f.search.trim().toLowerCase();
+      const extensions = f.extensions.split(',').map(e => e.trim().replace(/^\\./, '').toLowerCase()).filter(Boolean);
+      const from = f.modifiedFrom ? new Date(f.modifiedFrom + 'T00:00:00').getTime() : null;
+      const to = f.modifiedTo ? new Date(f.modifiedTo + 'T00:00:00').getTime() + 86400000 : null;
+      return (kind, x) => {
+        const m = itemMeta(kind, x);
+        const modified = m.modified ? new Date(m.modified).getTime() : null;
+        return (!search || m.name.toLowerCase().includes(search)) &&
+          (!include || include.some(r => r.test(m.name))) &&
+          (!exclude || !exclude.some(r => r.test(m.name))) &&
+          (!extensions.length || (kind === 'file' && extensions.includes(m.ext))) &&
+          (f.minMb === '' || m.size >= f.minMb * 1048576) &&
+          (f.maxMb === '' || m.size <= f.maxMb * 1048576) &&
+          (from === null || (modified !== null && modified >= from)) &&
+          (to === null || (modified !== null && modified < to)) &&
+          (!f.owner || m.owner === f.owner);
+      };
+    }
+
+    const ENTRY_SORTS = {
+      name: () => 0,
+      largest: (a, b) => b.size - a.size,
+      smallest: (a, b) => a.size - b.size,
+      newest: (a, b) => (b.modified || '').localeCompare(a.modified || ''),
+      oldest: (a, b) => (a.modified ? 0 : 1) - (b.modified ? 0 : 1) || (a.modified || '').localeCompare(b.modified || '')
+    };
+
+    function sortEntries(kind, list) {
+      const cmp = ENTRY_SORTS[state.wizard.filter.sort];
+      return list.map(x => [itemMeta(kind, x), x]).sort((a, b) => cmp(a[0], b[0]) || a[0].name.localeCompare(b[0].name)).map(p => p[1]);
+    }
+
+    function coveredByFolder(name) {
+      return state.wizard.selectedItems.some(i => i.itemType === 'folder' && name.startsWith(i.name + '/'));
+    }
+
+    function ownerOptions() {
+      const { connections, files, apps, owners } = state.wizard;
+      const metas = [...connections.map(c => itemMeta('connection', c)), ...files.map(f => itemMeta('file', f)), ...apps.map(a => itemMeta('app', a))];
+      return [...new Set(metas.map(m => m.owner).filter(Boolean))].map(id => [id, owners[id] || id]).sort((a, b) => a[1].localeCompare(b[1]));
+    }
+
+    function renderFilterBar(shown) {
+      const f = state.wizard.filter;
+      const text = (key, placeholder, width) => '<input type="text" id="filter-' + key + '" class="form-input" style="width:' + width + '" placeholder="' + placeholder + '" value="' + attr(f[key]) + '" oninput="setFilter({ ' + key + ': this.value })">';
+      const number = (key, placeholder) => '<input type="number" min="0" step="any" class="form-input" style="width:90px" placeholder="' + placeholder + '" value="' + attr(f[key]) + '" onchange="setFilter({ ' + key + ': this.value })">';
+      const date = (key) => '<input type="date" class="form-input" style="width:auto" value="' + attr(f[key]) + '" onchange="setFilter({ ' + key + ': this.value })">';
+      const invalid = f.regex && [f.include, f.exclude].some(p => { try { new RegExp(p); return false; } catch (e) { return true; } });
+      const sorts = [['name', 'Name'], ['largest', 'Largest first'], ['smallest', 'Smallest first'], ['newest', 'Newest first'], ['oldest', 'Oldest first']];
+      return '<div class="border rounded-lg p-4 mb-6"><div class="flex items-center gap-2 mb-2" style="flex-wrap:wrap">' + text('search', 'Search names', '180px') + text('include', f.regex ? 'Include regex' : 'Include, e.g. Sales/**/*.qvd', '220px') + text('exclude', f.regex ? 'Exclude regex' : 'Exclude, e.g. **/tmp_*', '200px') + '<label class="flex items-center gap-2 text-sm"><input type="checkbox" ' + (f.regex ? 'checked' : '') + ' onchange="setFilter({ regex: this.checked })"> Regex</label>' + text('extensions', 'Types, e.g. qvd,csv', '160px') + '</div><div class="flex items-center gap-2" style="flex-wrap:wrap"><span class="text-sm">Size (MB)</span>' + number('minMb', 'min') + '<span class="text-sm">to</span>' + number('maxMb', 'max') + '<span class="text-sm">Modified</span>' + date('modifiedFrom') + '<span class="text-sm">to</span>' + date('modifiedTo') + '<select class="form-input" style="width:auto" onchange="setFilter({ owner: this.value })"><option value="">Any owner</option>' + ownerOptions().map(([id, name]) => '<option value="' + attr(id) + '" ' + (f.owner === id ? 'selected' : '') + '>' + esc(name) + '</option>').join('') + '</select><select class="form-input" style="width:auto" onchange="setFilter({ sort: this.value })">' + sorts.map(([v, l]) => '<option value="' + v + '" ' + (f.sort === v ? 'selected' : '') + '>Sort: ' + l + '</option>').join('') + '</select><span style="margin-left:auto"></span>' + (filterActive() ? '<span class="text-sm text-gray-500">' + shown + ' match</span><button class="btn btn-ghost" onclick="clearFilters()">Clear filters</button><button class="btn btn-secondary" onclick="selectFiltered()">Select filtered</button>' : '') + '<button class="btn btn-ghost" ' + (state.wizard.selectedItems.length ? '' : 'disabled') + ' onclick="setWizardState({ selectedItems: [] })">Clear selection</button></div>' + (invalid ? '<div class="alert alert-error mt-2">Invalid regular expression</div>' : '') + '</div>';
+    }
+
+    // Nests data files under their folder entries and totals each folder's size
+    function buildFileTree(files) {
+      const folders = new Map(files.filter(f => f.folder).map(f => [filePath(f), { entry: f, children: [], size: 0, count: 0 }]));
+      const roots = [];
+      files.forEach(f => {
+        const p = filePath(f);
+        const parent = folders.get(p.substring(0, p.lastIndexOf('/')));
+        const node = f.folder ? folders.get(p) : { entry: f };
+        (parent && parent !== node ? parent.children : roots).push(node);
+        if (f.folder) return;
+        let ancestor = p;
+        while (ancestor.includes('/')) {
+          ancestor = ancestor.substring(0, ancestor.lastIndexOf('/'));
+          const n = folders.get(ancestor);
+          if (n) { n.size += f.size || 0; n.count++; }
+        }
+      });
+      const cmp = ENTRY_SORTS[state.wizard.filter.sort];
+      const sortNodes = (nodes) => { nodes.sort((a, b) => (b.entry.folder ? 1 : 0) - (a.entry.folder ? 1 : 0) || (a.entry.folder ? 0 : cmp(itemMeta('file', a.entry), itemMeta('file', b.entry))) || filePath(a.entry).localeCompare(filePath(b.entry))); nodes.forEach(n => n.children && sortNodes(n.children)); return nodes; };
+      return sortNodes(roots);
+    }
+
+    function renderFileNode(node, depth, inherited, flat) {
+      const f = node.entry;
+      const p = filePath(f);
+      const label = flat ? p : p.substring(p.lastIndexOf('/') + 1);
+      const sel = inherited || state.wizard.selectedItems.some(i => i.sourceId === f.id);
+      const click = inherited ? '' : 'toggleItem(\\'' + f.id + '\\',\\'' + (f.folder ? 'folder' : 'file') + '\\',\\'' + esc(p).replace(/'/g, "\\\\'") + '\\',' + (f.folder ? node.size : (f.size || 0)) + ')';
+      const open = f.folder && state.wizard.expandedFolders.includes(f.id);
+      const caret = f.folder ? '<span class="cursor-pointer" onclick="event.stopPropagation(); toggleFolderOpen(\\'' + f.id + '\\')" style="display:inline-flex;transition:transform 0.2s' + (open ? ';transform:rotate(90deg)' : '') + '">' + Icons.chevronRight + '</span>' : '<span style="width:16px"></span>';
+      const row = '<div class="selectable-item ' + (sel ? 'selected' : '') + '" style="margin-left:' + (depth * 20) + 'px' + (inherited ? ';opacity:0.7' : '') + '" onclick="' + click + '">' + caret + '<div class="checkbox">' + (sel ? Icons.check.replace('class="', 'class="text-white ') : '') + '</div>' + (f.folder ? Icons.folder : Icons.file) + '<span class="flex-1 truncate" title="' + esc(p) + '">' + esc(label) + '</span><span class="text-xs text-gray-500">' + (f.folder ? node.count + ' files · ' + formatBytes(node.size) : formatBytes(f.size || 0)) + '</span></div>';
+      return row + (open ? node.children.map(c => renderFileNode(c, depth + 1, sel)).join('') : '');
+    }
+
+    function renderPlan(plan, editable) {
+      const badges = { create: 'badge-green', skip: 'badge-gray', rename: 'badge-amber', overwrite: 'badge-red' };
+      return '<div class="mb-6"><div class="flex items-center justify-between mb-2"><h4 class="font-medium">Migration Plan</h4><div class="flex gap-2"><button class="btn btn-ghost" onclick="exportPlan(\\'json\\')">Export JSON</button><button class="btn btn-ghost" onclick="exportPlan(\\'csv\\')">Export CSV</button><button class="btn btn-ghost" title="Download a manifest that repeats this migration" onclick="saveManifest(\\'yaml\\')">Save as template</button><button class="btn btn-ghost" onclick="saveManifest(\\'json\\')">Template JSON</button></div></div><p class="text-sm text-gray-600 mb-2">' + Object.entries(plan.summary.actions).map(([a, n]) => n + ' ' + a).join(' · ') + ' · ' + plan.summary.conflicts + ' conflicts · ' + formatBytes(plan.summary.transferBytes) + ' to transfer</p><div class="border rounded-lg max-h-64 overflow-auto"><table class="text-sm" style="width:100%;border-collapse:collapse"><thead><tr class="bg-gray-50"><th class="p-2 text-left">Item</th><th class="p-2 text-left">Action</th><th class="p-2 text-left">Target Name</th><th class="p-2 text-left">Size</th></tr></thead><tbody>' + plan.items.map(i => '<tr style="border-top:1px solid var(--gray-200)"><td class="p-2">' + esc(i.sourceName) + (i.conflict ? ' <span class="badge badge-amber">exists in target</span>' : '') + '</td><td class="p-2">' + (editable && i.conflict ? '<select class="form-input" style="width:auto;padding:2px 8px" onchange="setItemResolution(\\'' + i.itemId + '\\', this.value)">' + ['skip', 'rename', 'overwrite'].map(a => '<option value="' + a + '" ' + (i.action === a ? 'selected' : '') + '>' + a + '</option>').join('') + '</select>' : '<span class="badge ' + (badges[i.action] || 'badge-gray') + '">' + i.action + '</span>') + '</td><td class="p-2">' + (i.targetName ? esc(i.targetName) : '—') + '</td><td class="p-2">' + formatBytes(i.sizeBytes) + '</td></tr>').join('') + '</tbody></table></div></div>';
+    }
+
+    // Items that failed or needed retries, so throttling can be told apart from real errors
+    function renderItemResults(items) {
+      const notable = items.filter(i => i.status === 'failed' || i.retryCount > 0 || i.errorMessage);
+      if (notable.length === 0) return '';
+      return '<div class="mb-6"><h4 class="font-medium mb-2">Items Needing Attention</h4><div class="border rounded-lg max-h-64 overflow-auto"><table class="text-sm" style="width:100%;border-collapse:collapse"><thead><tr class="bg-gray-50"><th class="p-2 text-left">Item</th><th class="p-2 text-left">Status</th><th class="p-2 text-left">Retries</th><th class="p-2 text-left">Last HTTP</th><th class="p-2 text-left">Details</th></tr></thead><tbody>' + notable.map(i => '<tr style="border-top:1px solid var(--gray-200)"><td class="p-2">' + esc(i.name) + '</td><td class="p-2"><span class="badge ' + (i.status === 'completed' ? 'badge-green' : i.status === 'failed' ? 'badge-red' : 'badge-gray') + '">' + i.status + '</span>' + (i.throttled ? ' <span class="badge badge-amber">throttled</span>' : '') + '</td><td class="p-2">' + (i.retryCount || 0) + '</td><td class="p-2">' + (i.lastHttpStatus || '—') + '</td><td class="p-2 text-gray-600">' + esc(i.errorMessage || '') + '</td></tr>').join('') + '</tbody></table></div></div>';
+    }
+
+    function renderVerification(migration, items) {
+      const v = migration?.verification;
+      if (!v) return '';
+      const problems = items.filter(i => i.verification && i.verification.status !== 'verified');
+      const header = '<div class="flex items-center justify-between mb-2"><h4 class="font-medium">Verification</h4><button class="btn btn-ghost" onclick="verifyMigration()">' + Icons.refresh + ' Verify again</button></div>';
+      if (v.error) return '<div class="mb-6">' + header + '<div class="alert alert-warning">The target space could not be checked: ' + esc(v.error) + '</div></div>';
+      return '<div class="mb-6">' + header + '<p class="text-sm text-gray-600 mb-2">' + v.summary.verified + ' verified · ' + v.summary.mismatch + ' with differences · ' + v.summary.missing + ' missing · checked ' + new Date(v.verifiedAt).toLocaleString() + '</p>' + (problems.length ? '<div class="border rounded-lg max-h-64 overflow-auto"><table class="text-sm" style="width:100%;border-collapse:collapse"><thead><tr class="bg-gray-50"><th class="p-2 text-left">Item</th><th class="p-2 text-left">Result</th><th class="p-2 text-left">Details</th></tr></thead><tbody>' + problems.map(i => '<tr style="border-top:1px solid var(--gray-200)"><td class="p-2">' + esc(i.targetName || i.name) + '</td><td class="p-2"><span class="badge ' + (i.verification.status === 'missing' ? 'badge-red' : 'badge-amber') + '">' + i.verification.status + '</span></td><td class="p-2">' + i.verification.issues.map(esc).join('<br>') + '</td></tr>').join('') + '</tbody></table></div>' : '<div class="alert alert-success">Every copied item was found in the target space as expected.</div>') + '</div>';
+    }
+
+    function renderPreflight(preflight) {
+      if (!preflight) return '';
+      const colors = { ok: 'text-emerald-600', warning: 'text-amber-700', error: 'text-red-600' };
+      const icons = { ok: Icons.checkCircle, warning: Icons.xCircle, error: Icons.xCircle };
+      return '<div class="mb-6"><div class="flex items-center justify-between mb-2"><h4 class="font-medium">Pre-flight Checks</h4><button class="btn btn-ghost" onclick="rerunPreflight()">' + Icons.refresh + ' Check again</button></div>' + (preflight.blocking ? '<div class="alert alert-error mb-2"><strong>Blocking problems:</strong> fix the errors below and check again before starting.</div>' : '') + '<div class="border rounded-lg p-2 text-sm">' + preflight.checks.map(c => '<div class="flex items-center gap-2 ' + (colors[c.level] || '') + '">' + icons[c.level] + '<span>' + esc(c.message) + '</span></div>').join('') + '</div><p class="text-xs text-gray-500 mt-2">Checked ' + new Date(preflight.checkedAt).toLocaleString() + '</p></div>';
+    }
+
+    function renderScriptRewrites(migration, items) {
+      if (!items.some(i => i.itemType === 'app' && i.status === 'completed')) return '';
+      const rewrites = migration.scriptRewrites;
+      const badges = { pending: 'badge-amber', applied: 'badge-green', failed: 'badge-red', unchanged: 'badge-gray', not_editable: 'badge-gray' };
+      const pending = (rewrites || []).filter(r => r.status === 'pending');
+      return '<div class="mb-6"><div class="flex items-center justify-between mb-2"><h4 class="font-medium">App Load Scripts</h4><button class="btn btn-ghost" onclick="previewScriptRewrites()">' + Icons.refresh + ' ' + (rewrites ? 'Check again' : 'Check lib:// paths') + '</button></div>' + (!rewrites ? '<p class="text-sm text-gray-600">Migrated apps may still load from ' + esc(migration.sourceSpaceName) + '. Check their scripts to review the lib:// paths that would be pointed at ' + esc(migration.targetSpaceName) + '.</p>' : '<div class="border rounded-lg max-h-64 overflow-auto">' + rewrites.map(r => '<div class="p-2" style="border-top:1px solid var(--gray-200)"><div class="flex items-center gap-2 mb-2">' + (r.status === 'pending' ? '<input type="checkbox" class="rewrite-app" value="' + esc(r.appId) + '" checked>' : '') + '<span class="font-medium flex-1">' + esc(r.appName) + '</span><span class="badge ' + (badges[r.status] || 'badge-gray') + '">' + r.status.replace('_', ' ') + '</span></div>' + (r.errorMessage ? '<p class="text-sm text-red-600">' + esc(r.errorMessage) + '</p>' : '') + (r.changes.length ? '<div class="text-xs" style="font-family:monospace;white-space:pre-wrap">' + r.changes.map(c => '<div class="text-red-600">-' + c.line + ': ' + esc(c.before) + '</div><div class="text-emerald-600">+' + c.line + ': ' + esc(c.after) + '</div>').join('') + '</div>' : '') + '</div>').join('') + '</div>' + (pending.length ? '<div class="flex gap-2 mt-4"><input id="rewriteApprovedBy" class="form-input" placeholder="Approved by (name or change ticket)"><button class="btn btn-secondary" onclick="applyScriptRewrites()">' + Icons.check + ' Save Approved Scripts</button></div>' : '')) + '</div>';
+    }
+
     function renderHistory() {
-      return '<div><div class="flex items-center justify-between mb-6"><div><h1 class="text-2xl font-bold">Migration History</h1><p class="text-gray-600">View past migrations</p></div><button class="btn btn-secondary" onclick="loadMigrations()">' + Icons.refresh + ' Refresh</button></div><div class="card">' + (state.migrations.length === 0 ? '<div class="p-6 text-center text-gray-500">' + Icons.history.replace('class="icon"', 'class="icon icon-xl" style="color:var(--gray-300);margin:0 auto 16px"') + '<p>No migration history yet</p></div>' : state.migrations.map(m => '<div class="p-4 flex items-center justify-between border-b"><div class="flex items-center gap-4">' + (m.status === 'completed' ? Icons.checkCircle.replace('class="icon"', 'style="width:20px;height:20px;color:var(--emerald-500)"') : m.status === 'failed' ? Icons.xCircle.replace('class="icon"', 'style="width:20px;height:20px;color:var(--red-500)"') : Icons.loader) + '<div><p class="font-medium">' + esc(m.sourceSpaceName) + ' → ' + esc(m.targetSpaceName) + '</p><p class="text-sm text-gray-500">' + new Date(m.createdAt).toLocaleString() + '</p></div></div><span class="badge ' + (m.status === 'completed' ? 'badge-green' : m.status === 'failed' ? 'badge-red' : 'badge-gray') + '">' + m.status + '</span></div>').join('')) + '</div></div>';
+      return '<div><div class="flex items-center justify-between mb-6"><div><h1 class="text-2xl font-bold">Migration History</h1><p class="text-gray-600">View past migrations</p></div><button class="btn btn-secondary" onclick="loadMigrations()">' + Icons.refresh + ' Refresh</button></div>' + (state.batches.length ? '<h3 class="font-medium mb-2">Batches</h3><div class="card mb-6">' + state.batches.map(b => '<div class="p-4 flex items-center justify-between border-b cursor-pointer" onclick="openBatch(\\'' + b.id + '\\')"><div class="flex items-center gap-4">' + Icons.play + '<div><p class="font-medium">' + esc(b.name) + '</p><p class="text-sm text-gray-500">' + new Date(b.createdAt).toLocaleString() + ' · ' + b.pairs.length + ' space pairs · ' + b.progress.completed + ' completed, ' + b.progress.failed + ' failed, ' + b.progress.skipped + ' skipped of ' + b.progress.total + '</p></div></div><span class="badge ' + batchBadge(b.status) + '">' + b.status + '</span></div>').join('') + '</div><h3 class="font-medium mb-2">Migrations</h3>' : '') + '<div class="card">' + (state.migrations.length === 0 ? '<div class="p-6 text-center text-gray-500">' + Icons.history.replace('class="icon"', 'class="icon icon-xl" style="color:var(--gray-300);margin:0 auto 16px"') + '<p>No migration history yet</p></div>' : state.migrations.map(m => '<div class="p-4 flex items-center justify-between border-b cursor-pointer" onclick="openMigration(\\'' + m.id + '\\')"><div class="flex items-center gap-4">' + (m.status === 'completed' ? Icons.checkCircle.replace('class="icon"', 'style="width:20px;height:20px;color:var(--emerald-500)"') : m.status === 'failed' ? Icons.xCircle.replace('class="icon"', 'style="width:20px;height:20px;color:var(--red-500)"') : m.status === 'interrupted' ? Icons.xCircle.replace('class="icon"', 'style="width:20px;height:20px;color:var(--amber-500)"') : Icons.loader) + '<div><p class="font-medium">' + esc(m.sourceSpaceName) + ' → ' + esc(m.targetSpaceName) + '</p><p class="text-sm text-gray-500">' + new Date(m.createdAt).toLocaleString() + ' · ' + (m.progress?.completed || 0) + ' completed, ' + (m.progress?.failed || 0) + ' failed, ' + (m.progress?.skipped || 0) + ' skipped of ' + (m.progress?.total || 0) + '</p>' + (m.rollback ? '<p class="text-xs text-gray-500">Rollback ' + m.rollback.status + ': ' + m.rollback.deleted + ' deleted, ' + m.rollback.kept + ' kept, ' + m.rollback.failed + ' failed of ' + m.rollback.total + '</p>' : '') + '</div></div><div class="flex items-center gap-2">' + (canRollBack(m) ? '<button class="btn btn-ghost" onclick="event.stopPropagation(); rollbackMigration(\\'' + m.id + '\\')">' + Icons.refresh + ' Roll back</button>' : '') + '<span class="badge ' + (m.status === 'completed' ? 'badge-green' : m.status === 'failed' ? 'badge-red' : m.status === 'interrupted' ? 'badge-amber' : 'badge-gray') + '">' + m.status + '</span></div></div>').join('')) + '</div></div>';
     }
 
     async function handleLogin(e) {
@@ -703,13 +3731,18 @@ function getHTML() {
       const err = document.getElementById('loginError');
       const url = document.getElementById('tenantUrl').value;
       const key = document.getElementById('apiKey').value;
+      const passphrase = document.getElementById('savePassphrase');
       btn.disabled = true;
       btn.innerHTML = Icons.loader + ' Connecting...';
       err.classList.add('hidden');
       try {
-        await api.connect(url, key);
-        setState({ isConnected: true, tenantUrl: url });
-        await loadInitialData();
+        if (document.getElementById('saveProfile').checked) {
+          const r = await api.saveProfile({ name: document.getElementById('profileName').value, tenantUrl: url, apiKey: key, passphrase: passphrase ? passphrase.value : undefined });
+          await api.connectProfile(r.profile.id);
+        } else {
+          await api.connect(url, key);
+        }
+        await enterSession(url);
       } catch (error) {
         err.textContent = error.message;
         err.classList.remove('hidden');
@@ -720,70 +3753,721 @@ function getHTML() {
 
     async function handleDisconnect() {
       try { await api.disconnect(); } catch (e) {}
-      setState({ isConnected: false, tenantUrl: '', spaces: [], migrations: [] });
+      setState({ isConnected: false, sessionExpired: false, tenantUrl: '', extraTenants: [], spaces: [], migrations: [] });
+      loadProfiles();
+    }
+
+    async function enterSession(tenantUrl) {
+      setState({ isConnected: true, sessionExpired: false, tenantUrl, extraTenants: [] });
+      await loadInitialData();
+    }
+
+    // The server no longer knows the session (it expired or the app restarted)
+    function sessionEnded() {
+      api.forgetSession();
+      setState({ isConnected: false, sessionExpired: true, tenantUrl: '', extraTenants: [], spaces: [], migrations: [] });
+      loadProfiles();
+    }
+
+    async function loadProfiles() { try { setState({ profiles: await api.listProfiles() }); } catch (e) { console.error(e); } }
+
+    async function connectProfile(id) {
+      const err = document.getElementById('profileError');
+      const box = document.getElementById('profilePassphrase');
+      err.classList.add('hidden');
+      try {
+        const r = await api.connectProfile(id, box ? box.value : undefined);
+        await enterSession(r.tenantUrl);
+      } catch (e) {
+        err.textContent = e.message;
+        err.classList.remove('hidden');
+      }
+    }
+
+    // Opens a saved tenant in place of the current one. While the profiles
+    // are locked this goes through the login page to ask for the passphrase.
+    async function switchProfile(id) {
+      if (!id) return;
+      if (!state.profiles.unlocked) { await handleDisconnect(); return; }
+      try { await api.disconnect(); } catch (e) {}
+      try {
+        const r = await api.connectProfile(id);
+        resetWizard();
+        setState({ currentPage: 'dashboard', batch: null, batchView: null, schedules: [], scheduleForm: null });
+        await enterSession(r.tenantUrl);
+      } catch (e) {
+        alert('Failed: ' + e.message);
+        await handleDisconnect();
+      }
+    }
+
+    async function unlockProfiles(inputId) {
+      try { setState({ profiles: await api.unlockProfiles(document.getElementById(inputId).value) }); }
+      catch (e) { alert('Failed: ' + e.message); }
+    }
+
+    async function lockProfiles() {
+      try { setState({ profiles: await api.lockProfiles() }); }
+      catch (e) { alert('Failed: ' + e.message); }
+    }
+
+    async function deleteProfile(id) {
+      const p = state.profiles.profiles.find(x => x.id === id);
+      if (!confirm('Forget ' + p.name + '? Its API key is removed from this computer.')) return;
+      try { setState({ profiles: await api.deleteProfile(id) }); }
+      catch (e) { alert('Failed: ' + e.message); }
+    }
+
+    async function forgetProfiles() {
+      if (!confirm('The passphrase cannot be recovered. Forget all saved tenants and their API keys? You can then save them again with a new passphrase.')) return;
+      try { setState({ profiles: await api.forgetProfiles() }); }
+      catch (e) { alert('Failed: ' + e.message); }
+    }
+
+    function renderExtraProfiles() {
+      const connected = [state.tenantUrl, ...state.extraTenants.map(t => t.tenantUrl)];
+      const saved = state.profiles.profiles.filter(p => !connected.includes(p.tenantUrl));
+      if (!saved.length) return '';
+      if (!state.profiles.unlocked) return '<div class="flex gap-2 mb-2"><input type="password" id="extraPassphrase" class="form-input" placeholder="Passphrase to use a saved tenant"><button class="btn btn-secondary" onclick="unlockProfiles(\\'extraPassphrase\\')">Unlock</button></div>';
+      return '<div class="flex gap-2 mb-2" style="flex-wrap:wrap">' + saved.map(p => '<button class="btn btn-secondary" onclick="connectExtraProfile(\\'' + p.id + '\\')">' + Icons.database + ' ' + esc(p.name) + '</button>').join('') + '</div><p class="text-sm text-gray-500 mb-2">or enter a tenant URL and API key:</p>';
+    }
+
+    async function connectExtraProfile(id) {
+      try {
+        state.extraTenants = await api.connectAdditionalProfile(id);
+        setWizardState({ connectingTenant: false });
+      } catch (e) { alert('Failed: ' + e.message); }
     }
 
     function navigate(page) {
       setState({ currentPage: page });
       if (page === 'migrations') resetWizard();
+      if (page === 'schedules') loadSchedules();
     }
 
-    async function loadInitialData() { await Promise.all([loadSpaces(), loadMigrations()]); }
+    async function loadInitialData() { await Promise.all([loadSpaces(), loadMigrations(), loadProfiles()]); }
     async function loadSpaces() { try { const r = await api.listSpaces(); setState({ spaces: r.spaces }); } catch (e) { console.error(e); } }
-    async function loadMigrations() { try { const r = await api.listMigrations(); setState({ migrations: r.migrations }); } catch (e) { console.error(e); } }
 
-    function selectSourceSpace(id) { const s = state.spaces.find(x => x.id === id); setWizardState({ sourceSpace: s, targetSpace: null, selectedItems: [] }); }
-    function selectTargetSpace(id) { const s = state.spaces.find(x => x.id === id); setWizardState({ targetSpace: s }); }
+    function renderSpaceCompare() {
+      const { aId, bId, bTenantId, bSpaces, loading, result } = state.spaceCompare;
+      const options = (list, selected) => '<option value="">Choose a space</option>' + list.map(s => '<option value="' + s.id + '" ' + (selected === s.id ? 'selected' : '') + '>' + esc(s.name) + '</option>').join('');
+      const tenants = state.extraTenants.length ? '<select class="form-input mb-2" onchange="selectCompareTenant(this.value)"><option value="">' + esc(state.tenantUrl) + '</option>' + state.extraTenants.map(t => '<option value="' + t.tenantId + '" ' + (bTenantId === t.tenantId ? 'selected' : '') + '>' + esc(t.tenantUrl) + '</option>').join('') + '</select>' : '';
+      const pickers = '<div class="grid grid-2 gap-4 mb-4"><div><label class="form-label">Space A</label><select class="form-input" onchange="state.spaceCompare.aId = this.value">' + options(state.spaces, aId) + '</select></div><div><label class="form-label">Space B</label>' + tenants + '<select class="form-input" onchange="state.spaceCompare.bId = this.value">' + options(bSpaces || state.spaces, bId) + '</select></div></div><div class="flex gap-2 mb-4"><button class="btn btn-primary" ' + (loading ? 'disabled' : '') + ' onclick="runSpaceCompare()">' + (loading ? Icons.loader + ' Comparing...' : 'Compare') + '</button><button class="btn btn-ghost" onclick="setState({ spaceCompare: null })">Close</button></div>';
+      if (!result) return '<div class="card p-4 mb-6"><h4 class="font-medium mb-2">Compare Spaces</h4>' + pickers + '</div>';
+      const icon = (t) => t === 'connection' ? Icons.database : t === 'folder' ? Icons.folder : Icons.file;
+      const when = (d) => d ? new Date(d).toLocaleString() : '-';
+      const list = (items) => '<div class="border rounded-lg p-2 max-h-64 overflow-auto">' + (items.length === 0 ? '<p class="text-center text-gray-500 p-4">Nothing</p>' : items.map(i => '<div class="flex items-center gap-2 p-2 text-sm">' + icon(i.itemType) + '<span class="flex-1 truncate" title="' + esc(i.name) + '">' + esc(i.name) + '</span><span class="text-xs text-gray-500">' + (i.itemType === 'file' ? formatBytes(i.sizeBytes) : i.itemType) + '</span></div>').join('')) + '</div>';
+      const side = (e, d) => d.includes('size') || d.includes('modified') ? formatBytes(e.sizeBytes) + ' · ' + when(e.modified) : '';
+      const differing = result.differing.length === 0 ? '' : '<h4 class="font-medium mb-2">In both, but different (' + result.differing.length + ')</h4><div class="border rounded-lg max-h-64 overflow-auto mb-4"><table class="text-sm" style="width:100%;border-collapse:collapse"><thead><tr class="bg-gray-50"><th class="p-2 text-left">Item</th><th class="p-2 text-left">Differs in</th><th class="p-2 text-left">' + esc(result.a.name) + '</th><th class="p-2 text-left">' + esc(result.b.name) + '</th></tr></thead><tbody>' + result.differing.map(d => '<tr style="border-top:1px solid var(--gray-200)"><td class="p-2">' + esc(d.name) + '</td><td class="p-2">' + d.differences.join(', ') + '</td><td class="p-2">' + side(d.a, d.differences) + '</td><td class="p-2">' + side(d.b, d.differences) + '</td></tr>').join('') + '</tbody></table></div>';
+      const toMigrate = differenceItems(result).length;
+      return '<div class="card p-4 mb-6"><h4 class="font-medium mb-2">Compare Spaces</h4>' + pickers + '<p class="text-sm text-gray-600 mb-4">' + result.onlyInA.length + ' only in ' + esc(result.a.name) + ' · ' + result.onlyInB.length + ' only in ' + esc(result.b.name) + ' · ' + result.differing.length + ' different · ' + result.identical + ' identical</p><div class="grid grid-2 gap-4 mb-4"><div><h4 class="font-medium mb-2">Only in ' + esc(result.a.name) + '</h4>' + list(result.onlyInA) + '</div><div><h4 class="font-medium mb-2">Only in ' + esc(result.b.name) + '</h4>' + list(result.onlyInB) + '</div></div>' + differing + '<button class="btn btn-primary" ' + (toMigrate ? '' : 'disabled') + ' onclick="migrateDifferences()">' + Icons.arrowRight + ' Migrate the differences (' + toMigrate + ') from ' + esc(result.a.name) + ' to ' + esc(result.b.name) + '</button></div>';
+    }
+
+    async function selectCompareTenant(tenantId) {
+      try {
+        const r = tenantId ? await api.listSpaces(tenantId) : { spaces: null };
+        setState({ spaceCompare: { ...state.spaceCompare, bTenantId: tenantId || null, bSpaces: r.spaces, bId: '', result: null } });
+      } catch (e) { alert('Failed: ' + e.message); }
+    }
+
+    async function runSpaceCompare() {
+      const { aId, bId, bTenantId } = state.spaceCompare;
+      if (!aId || !bId) { alert('Choose both spaces'); return; }
+      setState({ spaceCompare: { ...state.spaceCompare, loading: true } });
+      try {
+        const result = await api.compareSpaces(aId, bId, bTenantId);
+        setState({ spaceCompare: { ...state.spaceCompare, loading: false, result } });
+      } catch (e) {
+        setState({ spaceCompare: { ...state.spaceCompare, loading: false } });
+        alert('Failed: ' + e.message);
+      }
+    }
+
+    // What A has that B lacks or has differently; files under a folder that is
+    // itself missing come with the folder
+    function differenceItems(result) {
+      const changed = result.differing.map(d => d.a);
+      const folders = result.onlyInA.filter(i => i.itemType === 'folder').map(i => i.name + '/');
+      return [...result.onlyInA, ...changed].filter(i => !folders.some(f => i.name.startsWith(f))).map(i => ({ sourceId: i.id, itemType: i.itemType, name: i.name, sizeBytes: i.sizeBytes || 0 }));
+    }
+
+    function newerInB(d) {
+      return !!(d.a.modified && d.b.modified) && new Date(d.b.modified) > new Date(d.a.modified);
+    }
+
+    // Opens the wizard on A → B with the differences already selected. Items
+    // that exist in B are overwritten by default, unless B holds a newer copy of
+    // any of them (e.g. B is itself a later copy); then they are skipped, and
+    // each conflict can still be resolved on the Review step.
+    async function migrateDifferences() {
+      const { result, bTenantId, bSpaces } = state.spaceCompare;
+      const items = differenceItems(result);
+      state.wizard = { ...state.wizard, step: 1, fromManifest: false, sourceTenantId: null, targetTenantId: bTenantId, sourceSpaces: null, targetSpaces: bSpaces, sourceSpace: state.spaces.find(s => s.id === result.a.id), targetSpace: (bSpaces || state.spaces).find(s => s.id === result.b.id), filter: DEFAULT_FILTER, selectedItems: items, conflictStrategy: result.differing.length ? (result.differing.some(newerInB) ? 'skip' : 'overwrite') : state.wizard.conflictStrategy };
+      setState({ currentPage: 'migrations' });
+      await wizardNext();
+    }
+
+    async function submitSpaceForm() {
+      const { mode, spaceId } = state.spaceForm;
+      const btn = document.getElementById('spaceFormBtn');
+      const err = document.getElementById('spaceFormError');
+      const name = document.getElementById('spaceFormName').value.trim();
+      const typeBox = document.getElementById('spaceFormType');
+      const tenantBox = document.getElementById('spaceFormTenant');
+      btn.disabled = true;
+      btn.innerHTML = Icons.loader + ' Working...';
+      try {
+        if (mode === 'create') await api.createSpace(name, typeBox.value);
+        else if (mode === 'rename') await api.renameSpace(spaceId, name);
+        else {
+          const targetTenantId = tenantBox ? tenantBox.value || null : null;
+          const r = await api.cloneSpace(spaceId, { name, type: typeBox.value, targetTenantId, cloneMembers: !targetTenantId && document.getElementById('spaceFormMembers').checked });
+          state.spaceForm = null;
+          await loadSpaces();
+          if (r.members && r.members.failed.length) alert(r.members.failed.length + ' member(s) could not be copied:\\n' + r.members.failed.map(f => f.assigneeId + ': ' + f.error).join('\\n'));
+          // A clone blocked by pre-flight checks opens on the Review step instead
+          if (!r.started) return openMigration(r.migration.id);
+          state.wizard = { ...state.wizard, step: 4, migration: r.migration, migrationItems: r.items, progress: r.migration.progress, log: [] };
+          setState({ currentPage: 'migrations' });
+          return streamProgress();
+        }
+        state.spaceForm = null;
+        await loadSpaces();
+      } catch (e) {
+        err.textContent = e.message;
+        err.classList.remove('hidden');
+        btn.disabled = false;
+        btn.innerHTML = 'Retry';
+      }
+    }
+    function canRollBack(m) {
+      return ['completed', 'failed', 'cancelled', 'interrupted'].includes(m.status) && (m.progress?.completed || 0) > 0 && m.rollback?.status !== 'running';
+    }
+
+    async function rollbackMigration(id) {
+      const m = state.migrations.find(x => x.id === id);
+      if (!confirm('Roll back the migration from ' + m.sourceSpaceName + ' to ' + m.targetSpaceName + '?\\n\\nThis permanently deletes the items it created in ' + m.targetSpaceName + '. Items that overwrote existing content, and copies whose source was moved, are kept.')) return;
+      try {
+        await api.rollbackMigration(id);
+        await loadMigrations();
+        const interval = setInterval(async () => {
+          await loadMigrations();
+          const current = state.migrations.find(x => x.id === id);
+          if (!current || !current.rollback || current.rollback.status !== 'running') clearInterval(interval);
+        }, 1000);
+      } catch (e) { alert('Failed: ' + e.message); }
+    }
+
+    function emptyBatch() {
+      return { name: '', targetTenantId: null, targetSpaces: null, pairs: [{ sourceSpaceId: '', targetSpaceId: '', selection: 'everything', pattern: '', items: null }], mode: 'copy', conflictStrategy: 'skip', publishApps: false, stopOnFailure: true };
+    }
+
+    function batchBadge(status) {
+      return status === 'completed' ? 'badge-green' : status === 'failed' ? 'badge-red' : status === 'interrupted' || status === 'blocked' ? 'badge-amber' : status === 'running' ? 'badge-cyan' : 'badge-gray';
+    }
+
+    function renderBatches() {
+      if (state.batchView) return renderBatchDetail();
+      const b = state.batch || emptyBatch();
+      const targetList = b.targetSpaces || state.spaces;
+      const spaceOptions = (list, selected) => '<option value="">Choose a space</option>' + list.map(s => '<option value="' + s.id + '" ' + (selected === s.id ? 'selected' : '') + '>' + esc(s.name) + '</option>').join('');
+      const selections = [['everything', 'Everything'], ['connections', 'Connections only'], ['files', 'Data files only'], ['apps', 'Apps only'], ['pattern', 'Names matching...']];
+      const row = (p, n) => '<div class="flex items-center gap-2 mb-2"><span class="text-sm text-gray-500" style="width:20px">' + (n + 1) + '</span><select class="form-input" onchange="updateBatchPair(' + n + ', { sourceSpaceId: this.value, items: null, selection: \\'everything\\' })">' + spaceOptions(state.spaces, p.sourceSpaceId) + '</select>' + Icons.arrowRight + '<select class="form-input" onchange="updateBatchPair(' + n + ', { targetSpaceId: this.value })">' + spaceOptions(targetList, p.targetSpaceId) + '</select><select class="form-input" style="width:auto" onchange="updateBatchPair(' + n + ', { selection: this.value })">' + (p.items ? '<option value="items" selected>' + p.items.length + ' selected items</option>' : '') + selections.map(([v, l]) => '<option value="' + v + '" ' + (p.selection === v ? 'selected' : '') + '>' + l + '</option>').join('') + '</select>' + (p.selection === 'pattern' ? '<input type="text" class="form-input" style="width:180px" placeholder="e.g. Sales/**, *.qvd" value="' + esc(p.pattern).replace(/"/g, '&quot;') + '" onchange="updateBatchPair(' + n + ', { pattern: this.value })">' : '') + '<button class="btn btn-ghost" title="Remove" onclick="removeBatchPair(' + n + ')">×</button></div>';
+      const tenants = state.extraTenants.length ? '<div><label class="form-label">Target tenant</label><select class="form-input" onchange="selectBatchTenant(this.value)"><option value="">' + esc(state.tenantUrl) + '</option>' + state.extraTenants.map(t => '<option value="' + t.tenantId + '" ' + (b.targetTenantId === t.tenantId ? 'selected' : '') + '>' + esc(t.tenantUrl) + '</option>').join('') + '</select></div>' : '';
+      return '<div><h1 class="text-2xl font-bold mb-2">Batch Migration</h1><p class="text-gray-600 mb-6">Migrate several source → target space pairs as one job. Pairs run one after another.</p><div class="card p-4 mb-6"><div class="grid grid-2 gap-4 mb-4"><div><label class="form-label">Batch name</label><input type="text" class="form-input" placeholder="e.g. Sprint 42 promotion" value="' + esc(b.name).replace(/"/g, '&quot;') + '" onchange="updateBatch({ name: this.value })"></div>' + tenants + '</div><h4 class="font-medium mb-2">Space pairs</h4>' + b.pairs.map(row).join('') + '<button class="btn btn-ghost mb-4" onclick="addBatchPair()">' + Icons.plus + ' Add pair</button><p class="form-hint mb-4">To pick individual items for a pair, select them in New Migration and choose Add to batch.</p><div class="flex items-center gap-4 mb-4" style="flex-wrap:wrap"><label class="flex items-center gap-2 text-sm"><input type="radio" name="batchMode" ' + (b.mode === 'copy' ? 'checked' : '') + ' onchange="updateBatch({ mode: \\'copy\\' })"> Copy</label><label class="flex items-center gap-2 text-sm"><input type="radio" name="batchMode" ' + (b.mode === 'move' ? 'checked' : '') + ' onchange="updateBatch({ mode: \\'move\\' })"> Move</label><span class="text-sm font-medium">If an item already exists:</span><select class="form-input" style="width:auto" onchange="updateBatch({ conflictStrategy: this.value })">' + [['skip', 'Skip it'], ['rename', 'Copy with a new name'], ['overwrite', 'Overwrite it']].map(([v, l]) => '<option value="' + v + '" ' + (b.conflictStrategy === v ? 'selected' : '') + '>' + l + '</option>').join('') + '</select><label class="flex items-center gap-2 text-sm"><input type="checkbox" ' + (b.publishApps ? 'checked' : '') + ' onchange="updateBatch({ publishApps: this.checked })"> Publish apps (managed targets)</label><label class="flex items-center gap-2 text-sm"><input type="checkbox" ' + (b.stopOnFailure ? 'checked' : '') + ' onchange="updateBatch({ stopOnFailure: this.checked })"> Stop at the first pair with failures</label></div><div id="batchError" class="alert alert-error hidden"></div><div class="flex justify-end"><button class="btn btn-primary" id="batchCreateBtn" onclick="createBatch()">Next: Review ' + Icons.chevronRight + '</button></div></div></div>';
+    }
+
+    function renderBatchDetail() {
+      const { batch, pairs } = state.batchView;
+      const p = batch.progress;
+      const canStart = ['created', 'interrupted'].includes(batch.status);
+      const blocked = pairs.some(x => x.status === 'pending' && x.migration && x.migration.preflight && x.migration.preflight.blocking);
+      const pairStatus = (x) => x.status === 'pending' && x.migration && x.migration.preflight && x.migration.preflight.blocking ? 'blocked' : x.status;
+      const rows = pairs.map(x => { const m = x.migration || {}; const mp = m.progress || {}; const errors = (m.preflight ? m.preflight.checks : []).filter(c => c.level === 'error').map(c => c.message); return '<tr style="border-top:1px solid var(--gray-200)"><td class="p-2">' + esc(x.sourceSpaceName) + ' → ' + esc(x.targetSpaceName) + '</td><td class="p-2">' + (mp.completed || 0) + ' / ' + (mp.total || 0) + (mp.failed ? ' · ' + mp.failed + ' failed' : '') + (mp.skipped ? ' · ' + mp.skipped + ' skipped' : '') + '</td><td class="p-2"><span class="badge ' + batchBadge(pairStatus(x)) + '" title="' + esc(errors.join('; ') || x.error || '').replace(/"/g, '&quot;') + '">' + pairStatus(x) + '</span>' + (x.error ? '<p class="text-xs text-gray-500">' + esc(x.error) + '</p>' : '') + '</td><td class="p-2"><button class="btn btn-ghost" onclick="openMigration(\\'' + x.migrationId + '\\')">Open</button></td></tr>'; }).join('');
+      return '<div><div class="flex items-center justify-between mb-6"><div><h1 class="text-2xl font-bold">' + esc(batch.name) + '</h1><p class="text-gray-600">' + pairs.length + ' space pairs · ' + (batch.options.mode === 'move' ? 'move' : 'copy') + (batch.stopOnFailure ? ' · stops at the first pair with failures' : '') + '</p></div><span class="badge ' + batchBadge(batch.status) + '">' + batch.status + '</span></div><div class="card p-4 mb-6"><div class="flex items-center justify-between mb-2"><span class="text-sm font-medium">' + p.completed + ' completed, ' + p.failed + ' failed, ' + p.skipped + ' skipped of ' + p.total + ' items</span><span class="text-sm">' + p.percentage + '%</span></div><div class="progress"><div class="progress-bar" style="width:' + p.percentage + '%"></div></div>' + (batch.stopped ? '<div class="alert alert-warning mt-2">Stopped after a pair had failures; the remaining pairs were not run.</div>' : '') + '</div><div class="border rounded-lg mb-6"><table class="text-sm" style="width:100%;border-collapse:collapse"><thead><tr class="bg-gray-50"><th class="p-2 text-left">Pair</th><th class="p-2 text-left">Items</th><th class="p-2 text-left">Status</th><th class="p-2 text-left"></th></tr></thead><tbody>' + rows + '</tbody></table></div>' + (blocked ? '<div class="alert alert-error mb-4">Some pairs have blocking pre-flight problems. Open them to see the checks and re-run them once fixed.</div>' : '') + '<div class="flex justify-between"><div class="flex gap-2"><button class="btn btn-secondary" onclick="setState({ batchView: null, batch: null })">New batch</button><button class="btn btn-ghost" onclick="exportBatchReport(\\'json\\')">Report JSON</button><button class="btn btn-ghost" onclick="exportBatchReport(\\'csv\\')">Report CSV</button></div>' + (canStart ? '<div class="flex items-center gap-2">' + (batch.options.mode === 'move' ? '<label class="flex items-center gap-2 text-sm"><input type="checkbox" id="confirmBatchMove"> Delete the source items after copying</label>' : '') + '<button class="btn btn-primary" ' + (blocked ? 'disabled' : '') + ' onclick="startBatch()">' + Icons.play + (batch.status === 'interrupted' ? ' Resume batch' : ' Start batch') + '</button></div>' : '') + '</div></div>';
+    }
+
+    function updateBatch(changes) { setState({ batch: { ...(state.batch || emptyBatch()), ...changes } }); }
+
+    function updateBatchPair(index, changes) {
+      const b = state.batch || emptyBatch();
+      updateBatch({ pairs: b.pairs.map((p, i) => (i === index ? { ...p, ...changes, items: changes.selection && changes.selection !== 'items' ? null : (changes.items !== undefined ? changes.items : p.items) } : p)) });
+    }
+
+    function addBatchPair() { const b = state.batch || emptyBatch(); updateBatch({ pairs: [...b.pairs, emptyBatch().pairs[0]] }); }
+    function removeBatchPair(index) { const b = state.batch || emptyBatch(); updateBatch({ pairs: b.pairs.filter((p, i) => i !== index) }); }
+
+    async function selectBatchTenant(tenantId) {
+      try {
+        const r = tenantId ? await api.listSpaces(tenantId) : { spaces: null };
+        const b = state.batch || emptyBatch();
+        updateBatch({ targetTenantId: tenantId || null, targetSpaces: r.spaces, pairs: b.pairs.map(p => ({ ...p, targetSpaceId: '' })) });
+      } catch (e) { alert('Failed: ' + e.message); }
+    }
+
+    // Carries the wizard's source, target and hand-picked items over as a new pair
+    function addWizardPairToBatch() {
+      const { sourceSpace, targetSpace, selectedItems, targetTenantId, targetSpaces } = state.wizard;
+      const b = state.batch || emptyBatch();
+      const pairs = b.pairs.filter(p => p.sourceSpaceId || p.targetSpaceId);
+      const sameTarget = (b.targetTenantId || null) === (targetTenantId || null);
+      if (pairs.length && !sameTarget) { alert('All pairs in a batch go to the same target tenant'); return; }
+      state.batch = { ...b, targetTenantId: targetTenantId || null, targetSpaces: targetSpaces || null, pairs: [...pairs, { sourceSpaceId: sourceSpace.id, targetSpaceId: targetSpace.id, selection: 'items', pattern: '', items: selectedItems }] };
+      setState({ currentPage: 'batches', batchView: null });
+    }
+
+    function batchPairRequest(p) {
+      const pair = { sourceSpace: p.sourceSpaceId, targetSpace: p.targetSpaceId };
+      if (p.items) pair.items = p.items;
+      else if (p.selection === 'connections') pair.include = [{ type: 'connection' }];
+      else if (p.selection === 'files') pair.include = [{ type: 'folder', glob: '*' }, { type: 'file', glob: '*' }];
+      else if (p.selection === 'apps') pair.include = [{ type: 'app' }];
+      else if (p.selection === 'pattern') pair.include = p.pattern.split(',').map(g => g.trim()).filter(Boolean).map(glob => ({ glob }));
+      return pair;
+    }
+
+    async function createBatch() {
+      const b = state.batch || emptyBatch();
+      const btn = document.getElementById('batchCreateBtn');
+      const err = document.getElementById('batchError');
+      const problem = b.pairs.some(p => !p.sourceSpaceId || !p.targetSpaceId) ? 'Choose a source and a target space for every pair' : b.pairs.some(p => p.selection === 'pattern' && !p.pattern.trim()) ? 'Enter the names to match for every pair that uses them' : null;
+      if (problem) { err.textContent = problem; err.classList.remove('hidden'); return; }
+      btn.disabled = true;
+      btn.innerHTML = Icons.loader + ' Preparing...';
+      try {
+        const r = await api.createBatch({ name: b.name, targetTenantId: b.targetTenantId, pairs: b.pairs.map(batchPairRequest), options: { mode: b.mode, conflictStrategy: b.conflictStrategy, publishApps: b.publishApps }, stopOnFailure: b.stopOnFailure });
+        setState({ batchView: r });
+      } catch (e) {
+        err.textContent = e.message;
+        err.classList.remove('hidden');
+        btn.disabled = false;
+        btn.innerHTML = 'Next: Review ' + Icons.chevronRight;
+      }
+    }
+
+    async function startBatch() {
+      const box = document.getElementById('confirmBatchMove');
+      try {
+        const r = await api.startBatch(state.batchView.batch.id, !!(box && box.checked));
+        setState({ batchView: r });
+        pollBatch(r.batch.id);
+      } catch (e) { alert('Failed: ' + e.message); }
+    }
+
+    // Refreshes the batch view every second until the batch stops running or is closed
+    function pollBatch(id) {
+      const interval = setInterval(async () => {
+        if (!state.batchView || state.batchView.batch.id !== id) { clearInterval(interval); return; }
+        try {
+          const r = await api.getBatch(id);
+          if (state.currentPage === 'batches') setState({ batchView: r });
+          else state.batchView = r;
+          if (r.batch.status !== 'running') clearInterval(interval);
+        } catch (e) { console.error(e); }
+      }, 1000);
+    }
+
+    async function openBatch(id) {
+      try {
+        const r = await api.getBatch(id);
+        setState({ currentPage: 'batches', batchView: r });
+        if (r.batch.status === 'running') pollBatch(id);
+      } catch (e) { alert('Failed: ' + e.message); }
+    }
+
+    async function exportBatchReport(format) {
+      try { await api.download('/api/batches/' + state.batchView.batch.id + '/report?format=' + format, 'batch-report.' + format); }
+      catch (e) { alert('Failed: ' + e.message); }
+    }
+
+    const CRON_PRESETS = [['0 2 * * *', 'Every night at 02:00'], ['0 * * * *', 'Every hour'], ['0 6 * * 1-5', 'Weekdays at 06:00'], ['0 3 * * 0', 'Sundays at 03:00'], ['0 0 1 * *', 'First day of each month']];
+
+    function scheduleStatus(s) {
+      return s.running ? ['running', 'badge-cyan'] : s.paused ? ['paused', 'badge-gray'] : s.waitingForTenant ? ['waiting for tenant', 'badge-amber'] : ['active', 'badge-green'];
+    }
+
+    function renderScheduleForm() {
+      const f = state.scheduleForm;
+      const preset = CRON_PRESETS.find(p => p[0] === f.cron);
+      const picked = state.migrations.find(m => m.id === f.migrationId);
+      const isMove = f.source === 'migration' ? !!(picked && picked.options && picked.options.mode === 'move') : /mode["']?\\s*:\\s*["']?move/.test(f.manifest || '');
+      const definition = f.source === 'migration' ? '<select class="form-input" onchange="updateScheduleForm({ migrationId: this.value })"><option value="">Choose a past migration</option>' + state.migrations.map(m => '<option value="' + m.id + '" ' + (f.migrationId === m.id ? 'selected' : '') + '>' + esc(m.sourceSpaceName) + ' → ' + esc(m.targetSpaceName) + ' (' + new Date(m.createdAt).toLocaleDateString() + ')</option>').join('') + '</select><p class="form-hint">Runs the same top-level selections and options again. Folder contents are picked up fresh on each run.</p>' : '<input type="file" accept=".yaml,.yml,.json" class="form-input" onchange="readScheduleManifest(this)">' + (f.fileName ? '<p class="form-hint">' + esc(f.fileName) + '</p>' : '');
+      return '<div class="card p-4 mb-6"><h3 class="font-medium mb-4">New schedule</h3><div class="grid grid-2 gap-4 mb-4"><div><label class="form-label">Name</label><input type="text" class="form-input" placeholder="e.g. Nightly Dev → Prod" value="' + esc(f.name).replace(/"/g, '&quot;') + '" onchange="updateScheduleForm({ name: this.value })"></div><div><label class="form-label">When</label><div class="flex gap-2"><select class="form-input" onchange="if (this.value) updateScheduleForm({ cron: this.value })"><option value="">Custom</option>' + CRON_PRESETS.map(([v, l]) => '<option value="' + v + '" ' + (preset && preset[0] === v ? 'selected' : '') + '>' + l + '</option>').join('') + '</select><input type="text" class="form-input" style="width:160px" value="' + esc(f.cron).replace(/"/g, '&quot;') + '" onchange="updateScheduleForm({ cron: this.value })"></div><p class="form-hint">Cron format: minute hour day-of-month month day-of-week, in this computer\\'s time zone</p></div></div><div class="flex items-center gap-4 mb-2"><span class="text-sm font-medium">Definition:</span><label class="flex items-center gap-2 text-sm"><input type="radio" name="scheduleSource" ' + (f.source === 'migration' ? 'checked' : '') + ' onchange="updateScheduleForm({ source: \\'migration\\' })"> Repeat a past migration</label><label class="flex items-center gap-2 text-sm"><input type="radio" name="scheduleSource" ' + (f.source === 'manifest' ? 'checked' : '') + ' onchange="updateScheduleForm({ source: \\'manifest\\' })"> Manifest file</label></div><div class="mb-4">' + definition + '</div><label class="flex items-center gap-2 text-sm mb-2"><input type="checkbox" ' + (f.catchUp ? 'checked' : '') + ' onchange="updateScheduleForm({ catchUp: this.checked })"> If runs were missed while the app was closed, run once when it is next open</label>' + (isMove ? '<label class="flex items-center gap-2 text-sm mb-2"><input type="checkbox" ' + (f.confirmMove ? 'checked' : '') + ' onchange="updateScheduleForm({ confirmMove: this.checked })"> I understand that this MOVES items and source items will be deleted on every run</label>' : '') + '<p class="form-hint mb-4">Schedules run only while this app is open and the tenants are connected or saved and unlocked.</p><div id="scheduleError" class="alert alert-error hidden"></div><div class="flex justify-end gap-2"><button class="btn btn-secondary" onclick="setState({ scheduleForm: null })">Cancel</button><button class="btn btn-primary" id="scheduleSaveBtn" onclick="submitScheduleForm()">' + Icons.clock + ' Create schedule</button></div></div>';
+    }
+
+    function renderScheduleRuns(s) {
+      if (!s.runs.length) return '<p class="text-sm text-gray-500">No runs yet</p>';
+      const colors = { completed: 'badge-green', failed: 'badge-red', missed: 'badge-amber', interrupted: 'badge-amber', running: 'badge-cyan' };
+      return s.runs.slice(0, 5).map(r => '<div class="flex items-center justify-between text-sm mb-2"><div><span class="badge ' + (colors[r.status] || 'badge-gray') + '">' + r.status + '</span> ' + new Date(r.startedAt || r.completedAt).toLocaleString() + ' · ' + (r.trigger === 'manual' ? 'run now' : r.trigger === 'catch-up' ? 'catch-up for ' + new Date(r.dueAt).toLocaleString() : 'scheduled') + (r.missed > 1 ? ' (' + r.missed + ' runs missed)' : '') + (r.error ? '<p class="text-xs text-gray-500">' + esc(r.error) + '</p>' : '') + '</div>' + (r.migrationId ? '<button class="btn btn-ghost" onclick="openMigration(\\'' + r.migrationId + '\\')">Open ' + Icons.chevronRight + '</button>' : '') + '</div>').join('');
+    }
+
+    function renderSchedules() {
+      const list = state.schedules.length === 0 ? '<div class="card p-6 text-center text-gray-500">' + Icons.clock.replace('class="icon"', 'class="icon icon-xl" style="color:var(--gray-300);margin:0 auto 16px"') + '<p>No schedules yet</p></div>' : state.schedules.map(s => {
+        const [status, badge] = scheduleStatus(s);
+        return '<div class="card p-4 mb-4"><div class="flex items-center justify-between mb-2"><div><p class="font-medium">' + esc(s.name) + '</p><p class="text-sm text-gray-500"><code>' + esc(s.cron) + '</code> · ' + esc(s.manifest.source.space) + ' → ' + esc(s.manifest.target.space) + (s.manifest.options && s.manifest.options.mode === 'move' ? ' (move)' : '') + ' · next run ' + (s.paused || !s.nextRunAt ? '-' : new Date(s.nextRunAt).toLocaleString()) + (s.catchUp ? '' : ' · missed runs are skipped') + '</p></div><div class="flex items-center gap-2"><span class="badge ' + badge + '">' + status + '</span><button class="btn btn-ghost" onclick="pauseSchedule(\\'' + s.id + '\\', ' + !s.paused + ')">' + (s.paused ? Icons.play + ' Resume' : 'Pause') + '</button><button class="btn btn-ghost" ' + (s.running ? 'disabled' : '') + ' onclick="runScheduleNow(\\'' + s.id + '\\')">' + Icons.refresh + ' Run now</button><button class="btn btn-ghost" ' + (s.running ? 'disabled' : '') + ' onclick="removeSchedule(\\'' + s.id + '\\')">Delete</button></div></div>' + (s.waitingForTenant ? '<div class="alert alert-warning mb-2">A run is due. It starts once ' + esc(s.tenantUrl === s.targetTenantUrl ? s.tenantUrl : s.tenantUrl + ' and ' + s.targetTenantUrl) + ' are connected, or their saved tenants are unlocked.</div>' : '') + '<div class="border rounded-lg p-2">' + renderScheduleRuns(s) + '</div></div>';
+      }).join('');
+      return '<div><div class="flex items-center justify-between mb-6"><div><h1 class="text-2xl font-bold">Schedules</h1><p class="text-gray-600">Run a saved migration definition on a recurring schedule</p></div><div class="flex gap-2"><button class="btn btn-secondary" onclick="loadSchedules()">' + Icons.refresh + ' Refresh</button>' + (state.scheduleForm ? '' : '<button class="btn btn-primary" onclick="openScheduleForm()">' + Icons.plus + ' New schedule</button>') + '</div></div>' + (state.scheduleForm ? renderScheduleForm() : '') + list + '</div>';
+    }
+
+    // Refreshes while a run is in progress so its result shows up on its own
+    async function loadSchedules() {
+      try {
+        const r = await api.listSchedules();
+        setState({ schedules: r.schedules });
+        if (r.schedules.some(s => s.running)) setTimeout(() => { if (state.currentPage === 'schedules') loadSchedules(); }, 3000);
+      } catch (e) { console.error(e); }
+    }
+
+    function openScheduleForm() { setState({ scheduleForm: { name: '', cron: '0 2 * * *', source: 'migration', migrationId: '', manifest: '', fileName: '', catchUp: true, confirmMove: false } }); }
+    function updateScheduleForm(u) { setState({ scheduleForm: { ...state.scheduleForm, ...u } }); }
+
+    async function readScheduleManifest(input) {
+      const file = input.files[0];
+      if (file) updateScheduleForm({ manifest: await file.text(), fileName: file.name });
+    }
+
+    async function submitScheduleForm() {
+      const f = state.scheduleForm;
+      const btn = document.getElementById('scheduleSaveBtn');
+      const err = document.getElementById('scheduleError');
+      btn.disabled = true;
+      try {
+        await api.createSchedule({ name: f.name, cron: f.cron, catchUp: f.catchUp, confirmMove: f.confirmMove, ...(f.source === 'migration' ? { migrationId: f.migrationId } : { manifest: f.manifest }) });
+        state.scheduleForm = null;
+        loadSchedules();
+      } catch (e) {
+        err.textContent = e.message;
+        err.classList.remove('hidden');
+        btn.disabled = false;
+      }
+    }
+
+    async function pauseSchedule(id, paused) {
+      try { await api.updateSchedule(id, { paused }); loadSchedules(); }
+      catch (e) { alert('Failed: ' + e.message); }
+    }
+
+    async function runScheduleNow(id) {
+      try { await api.runSchedule(id); loadSchedules(); }
+      catch (e) { alert('Failed: ' + e.message); }
+    }
+
+    async function removeSchedule(id) {
+      if (!confirm('Delete this schedule? Migrations it already ran stay in the history.')) return;
+      try { await api.deleteSchedule(id); loadSchedules(); }
+      catch (e) { alert('Failed: ' + e.message); }
+    }
+
+    async function loadMigrations() { try { const [r, b] = await Promise.all([api.listMigrations(), api.listBatches()]); setState({ migrations: r.migrations, batches: b.batches }); } catch (e) { console.error(e); } }
+
+    function selectSourceSpace(id) { const s = (state.wizard.sourceSpaces || state.spaces).find(x => x.id === id); setWizardState({ sourceSpace: s, targetSpace: null, selectedItems: [] }); }
+    function selectTargetSpace(id) { const s = (state.wizard.targetSpaces || state.spaces).find(x => x.id === id); setWizardState({ targetSpace: s }); }
+
+    function renderTenantPicker(side) {
+      if (state.extraTenants.length === 0) return '';
+      const current = state.wizard[side + 'TenantId'];
+      return '<select class="form-input mb-2" onchange="selectWizardTenant(\\'' + side + '\\', this.value)"><option value="">' + esc(state.tenantUrl) + '</option>' + state.extraTenants.map(t => '<option value="' + t.tenantId + '" ' + (current === t.tenantId ? 'selected' : '') + '>' + esc(t.tenantUrl) + '</option>').join('') + '</select>';
+    }
+
+    function renderNewTargetSpace() {
+      if (!state.wizard.creatingSpace) return '<button class="btn btn-ghost mt-2" onclick="setWizardState({ creatingSpace: true })">' + Icons.plus + ' New target space</button>';
+      return '<div class="border rounded-lg p-2 mt-2"><div class="grid grid-2 gap-2 mb-2"><input type="text" id="newSpaceName" class="form-input" placeholder="New space name"><select id="newSpaceType" class="form-input"><option value="shared">shared</option><option value="managed">managed</option></select></div><div class="flex gap-2"><button class="btn btn-primary" id="newSpaceBtn" onclick="createTargetSpace()">Create</button><button class="btn btn-ghost" onclick="setWizardState({ creatingSpace: false })">Cancel</button></div></div>';
+    }
+
+    // Creates the space in the target tenant and selects it as the target
+    async function createTargetSpace() {
+      const { targetTenantId, sourceSpace } = state.wizard;
+      document.getElementById('newSpaceBtn').disabled = true;
+      try {
+        const r = await api.createSpace(document.getElementById('newSpaceName').value.trim(), document.getElementById('newSpaceType').value, targetTenantId);
+        if (targetTenantId) state.wizard.targetSpaces = (await api.listSpaces(targetTenantId)).spaces;
+        else state.spaces = (await api.listSpaces()).spaces;
+        setWizardState({ creatingSpace: false });
+        if (sourceSpace) selectTargetSpace(r.space.id);
+      } catch (e) { alert('Failed: ' + e.message); setWizardState({}); }
+    }
+
+    async function copyMembersToTarget() {
+      const { sourceSpace, targetSpace } = state.wizard;
+      if (!confirm('Give everyone on ' + sourceSpace.name + ' the same roles on ' + targetSpace.name + '?')) return;
+      try {
+        const r = await api.cloneMembers(targetSpace.id, sourceSpace.id);
+        setWizardState({ membersResult: 'Members: ' + r.created + ' added, ' + r.updated + ' updated, ' + r.unchanged + ' unchanged' + (r.failed.length ? ', ' + r.failed.length + ' failed (' + r.failed.map(f => f.error).join('; ') + ')' : '') });
+      } catch (e) { alert('Failed: ' + e.message); }
+    }
+
+    async function selectWizardTenant(side, tenantId) {
+      try {
+        const r = tenantId ? await api.listSpaces(tenantId) : { spaces: null };
+        const u = { [side + 'TenantId']: tenantId || null, [side + 'Spaces']: r.spaces, targetSpace: null };
+        if (side === 'source') { u.sourceSpace = null; u.selectedItems = []; }
+        setWizardState(u);
+      } catch (e) { alert('Failed: ' + e.message); }
+    }
+
+    async function handleConnectAdditional() {
+      const btn = document.getElementById('extraTenantBtn');
+      const err = document.getElementById('extraTenantError');
+      btn.disabled = true;
+      btn.innerHTML = Icons.loader + ' Connecting...';
+      try {
+        const extraTenants = await api.connectAdditional(document.getElementById('extraTenantUrl').value, document.getElementById('extraApiKey').value);
+        state.extraTenants = extraTenants;
+        setWizardState({ connectingTenant: false });
+      } catch (e) {
+        err.textContent = e.message;
+        err.classList.remove('hidden');
+        btn.disabled = false;
+        btn.innerHTML = 'Connect';
+      }
+    }
 
     async function wizardNext() {
       const { step, sourceSpace } = state.wizard;
       if (step === 1) {
+        const loadId = Math.random().toString(36).slice(2);
+        setWizardState({ loading: { pages: 0, items: 0 } });
+        const interval = setInterval(async () => {
+          try {
+            const r = await api.getListingProgress(loadId);
+            if (r.progress && state.wizard.loading) {
+              const parts = Object.values(r.progress);
+              setWizardState({ loading: { pages: parts.reduce((s, p) => s + p.pages, 0), items: parts.reduce((s, p) => s + p.items, 0) } });
+            }
+          } catch (e) { console.error(e); }
+        }, 700);
         try {
-          const [c, f] = await Promise.all([api.listConnections(sourceSpace.id), api.listFiles(sourceSpace.id)]);
-          setWizardState({ step: 2, connections: c.connections, files: [...(f.folders || []), ...(f.files || [])] });
-        } catch (e) { console.error(e); }
+          const [c, f, a] = await Promise.all([api.listConnections(sourceSpace.id, loadId, state.wizard.sourceTenantId), api.listFiles(sourceSpace.id, loadId, state.wizard.sourceTenantId), api.listApps(sourceSpace.id, loadId, state.wizard.sourceTenantId)]);
+          setWizardState({ step: 2, loading: null, connections: c.connections, files: [...(f.folders || []), ...(f.files || [])], apps: a.apps, owners: {} });
+          const ownerIds = ownerOptions().map(([id]) => id);
+          if (ownerIds.length) api.listUsers(ownerIds, state.wizard.sourceTenantId).then(r => setWizardState({ owners: r.users })).catch(() => {});
+        } catch (e) { console.error(e); setWizardState({ loading: null }); }
+        finally { clearInterval(interval); }
       }
     }
 
-    function wizardBack() { setWizardState({ step: state.wizard.step - 1 }); }
+    // A migration loaded from a manifest has no item lists to go back to
+    function wizardBack() { setWizardState({ step: state.wizard.fromManifest && state.wizard.step === 3 ? 1 : state.wizard.step - 1 }); }
 
     function toggleItem(sourceId, itemType, name, sizeBytes) {
       const { selectedItems } = state.wizard;
       const exists = selectedItems.find(i => i.sourceId === sourceId);
       if (exists) setWizardState({ selectedItems: selectedItems.filter(i => i.sourceId !== sourceId) });
+      else if (itemType === 'folder') {
+        // The folder brings its whole subtree, so drop anything already picked beneath it
+        const others = selectedItems.filter(i => (i.itemType !== 'file' && i.itemType !== 'folder') || !i.name.startsWith(name + '/'));
+        setWizardState({ selectedItems: [...others, { sourceId, itemType, name, sizeBytes }] });
+      }
       else setWizardState({ selectedItems: [...selectedItems, { sourceId, itemType, name, sizeBytes }] });
     }
 
+    function toggleFolderOpen(id) {
+      const { expandedFolders } = state.wizard;
+      setWizardState({ expandedFolders: expandedFolders.includes(id) ? expandedFolders.filter(x => x !== id) : [...expandedFolders, id] });
+    }
+
+    // The select-all buttons add whatever the filters currently show
     function selectAllConnections() {
       const { connections, selectedItems } = state.wizard;
-      const items = connections.map(c => ({ sourceId: c.qID, itemType: 'connection', name: c.qName, sizeBytes: 0 }));
-      const others = selectedItems.filter(i => i.itemType !== 'connection');
-      setWizardState({ selectedItems: [...others, ...items] });
+      const keep = itemFilter();
+      const items = connections.filter(c => keep('connection', c) && !selectedItems.some(i => i.sourceId === c.qID)).map(c => ({ sourceId: c.qID, itemType: 'connection', name: c.qName, sizeBytes: 0 }));
+      setWizardState({ selectedItems: [...selectedItems, ...items] });
     }
 
     function selectAllFiles() {
       const { files, selectedItems } = state.wizard;
-      const items = files.map(f => ({ sourceId: f.id, itemType: f.folder ? 'folder' : 'file', name: f.name || f.baseName, sizeBytes: f.size || 0 }));
-      const others = selectedItems.filter(i => i.itemType === 'connection');
-      setWizardState({ selectedItems: [...others, ...items] });
+      const keep = itemFilter();
+      const shown = filterActive() ? files.filter(f => !f.folder && keep('file', f)) : files;
+      const items = shown.filter(f => !selectedItems.some(i => i.sourceId === f.id) && !coveredByFolder(filePath(f))).map(f => ({ sourceId: f.id, itemType: f.folder ? 'folder' : 'file', name: filePath(f), sizeBytes: f.folder ? 0 : (f.size || 0) }));
+      setWizardState({ selectedItems: [...selectedItems, ...items] });
+    }
+
+    function appSize(a) { return (a.resourceSize && a.resourceSize.appFile) || 0; }
+
+    function selectAllApps() {
+      const { apps, selectedItems } = state.wizard;
+      const keep = itemFilter();
+      const items = apps.filter(a => keep('app', a) && !selectedItems.some(i => i.sourceId === a.resourceId)).map(a => ({ sourceId: a.resourceId, itemType: 'app', name: a.name, sizeBytes: appSize(a) }));
+      setWizardState({ selectedItems: [...selectedItems, ...items] });
+    }
+
+    function selectFiltered() {
+      selectAllConnections();
+      selectAllFiles();
+      selectAllApps();
+    }
+
+    // Typing re-renders the page, so put the cursor back in the box being typed in
+    function setFilter(changes) {
+      const active = document.activeElement;
+      const id = active && active.id;
+      const pos = active && active.type === 'text' ? active.selectionStart : null;
+      setWizardState({ filter: { ...state.wizard.filter, ...changes } });
+      const box = id && document.getElementById(id);
+      if (box && box.focus) { box.focus(); if (pos !== null) box.setSelectionRange(pos, pos); }
     }
 
+    function clearFilters() { setFilter({ ...DEFAULT_FILTER, sort: state.wizard.filter.sort }); }
+
     async function createMigration() {
-      const { sourceSpace, targetSpace, selectedItems } = state.wizard;
+      const { sourceSpace, targetSpace, selectedItems, sourceTenantId, targetTenantId } = state.wizard;
       try {
-        const r = await api.createMigration(sourceSpace.id, targetSpace.id, selectedItems, { mode: 'copy', conflictStrategy: 'skip' });
-        setWizardState({ step: 3, migration: r.migration, migrationItems: r.items, conflicts: r.conflicts });
+        const r = await api.createMigration(sourceSpace.id, targetSpace.id, selectedItems, { mode: state.wizard.mode, conflictStrategy: state.wizard.conflictStrategy, renameTemplate: state.wizard.renameTemplate || null, bulkRenameTemplate: state.wizard.bulkRenameTemplate || null, maxAttempts: state.wizard.maxAttempts, concurrency: state.wizard.concurrency, dryRun: state.wizard.dryRun, publishApps: state.wizard.publishApps }, { sourceTenantId, targetTenantId });
+        setWizardState({ step: 3, fromManifest: false, migration: r.migration, migrationItems: r.items, plan: r.plan, conflicts: r.conflicts });
       } catch (e) { alert('Failed: ' + e.message); }
     }
 
+    // The server resolves the manifest's spaces and selectors, so this goes straight to Review
+    async function loadManifest(input) {
+      const file = input.files[0];
+      input.value = '';
+      if (!file) return;
+      const { sourceTenantId, targetTenantId } = state.wizard;
+      try {
+        const r = await api.createFromManifest(await file.text(), { sourceTenantId, targetTenantId });
+        const m = r.migration;
+        setWizardState({ step: 3, fromManifest: true, sourceSpace: { id: m.sourceSpaceId, name: m.sourceSpaceName }, targetSpace: { id: m.targetSpaceId, name: m.targetSpaceName }, migration: m, migrationItems: r.items, plan: r.plan, conflicts: r.conflicts });
+      } catch (e) { alert('Could not load ' + file.name + ': ' + e.message); }
+    }
+
     async function startMigration() {
       try {
-        await api.startMigration(state.wizard.migration.id);
-        setWizardState({ step: 4 });
-        pollProgress();
+        const box = document.getElementById('confirmMove');
+        await api.startMigration(state.wizard.migration.id, !!(box && box.checked));
+        setWizardState({ step: 4, log: [] });
+        streamProgress();
+      } catch (e) { alert('Could not start the migration: ' + e.message); }
+    }
+
+    async function setItemResolution(itemId, conflictResolution) {
+      try {
+        const r = await api.updateItem(state.wizard.migration.id, itemId, { conflictResolution });
+        setWizardState({ migration: r.migration, migrationItems: r.items, plan: r.plan });
+      } catch (e) { alert('Failed: ' + e.message); }
+    }
+
+    async function approvePlan() {
+      const approvedBy = document.getElementById('approvedBy').value.trim();
+      if (!approvedBy) { alert('Enter who approved the plan'); return; }
+      try {
+        const r = await api.approveMigration(state.wizard.migration.id, approvedBy);
+        setWizardState({ migration: r.migration });
+      } catch (e) { alert('Failed: ' + e.message); }
+    }
+
+    async function verifyMigration() {
+      try {
+        await api.verifyMigration(state.wizard.migration.id);
+        const r = await api.getMigration(state.wizard.migration.id);
+        setWizardState({ migration: r.migration, migrationItems: r.items });
+      } catch (e) { alert('Failed: ' + e.message); }
+    }
+
+    async function rerunPreflight() {
+      try {
+        const r = await api.runPreflight(state.wizard.migration.id);
+        setWizardState({ migration: r.migration });
+      } catch (e) { alert('Failed: ' + e.message); }
+    }
+
+    async function previewScriptRewrites() {
+      try {
+        const r = await api.previewScriptRewrites(state.wizard.migration.id);
+        setWizardState({ migration: r.migration });
+      } catch (e) { alert('Failed: ' + e.message); }
+    }
+
+    async function applyScriptRewrites() {
+      const approvedBy = document.getElementById('rewriteApprovedBy').value.trim();
+      if (!approvedBy) { alert('Enter who approved the script changes'); return; }
+      const appIds = Array.from(document.querySelectorAll('.rewrite-app')).filter(b => b.checked).map(b => b.value);
+      if (appIds.length === 0) { alert('Select at least one app'); return; }
+      try {
+        const r = await api.applyScriptRewrites(state.wizard.migration.id, appIds, approvedBy);
+        setWizardState({ migration: r.migration });
+      } catch (e) { alert('Failed: ' + e.message); }
+    }
+
+    async function saveManifest(format) {
+      try { await api.download('/api/migrations/' + state.wizard.migration.id + '/manifest?format=' + format, 'migration-manifest.' + format); }
+      catch (e) { alert('Failed: ' + e.message); }
+    }
+
+    async function exportPlan(format) {
+      try { await api.download('/api/migrations/' + state.wizard.migration.id + '/plan?format=' + format, 'migration-plan.' + format); }
+      catch (e) { alert('Failed: ' + e.message); }
+    }
+
+    async function retryMigration() {
+      const box = document.getElementById('retrySkipped');
+      const confirmBox = document.getElementById('confirmRetryMove');
+      try {
+        const r = await api.retryMigration(state.wizard.migration.id, !!(box && box.checked), !!(confirmBox && confirmBox.checked));
+        setWizardState({ step: 4, migration: r.migration, progress: null, log: [] });
+        streamProgress();
+      } catch (e) { alert('Failed: ' + e.message); }
+    }
+
+    async function resumeMigration() {
+      const confirmBox = document.getElementById('confirmRetryMove');
+      try {
+        const r = await api.resumeMigration(state.wizard.migration.id, !!(confirmBox && confirmBox.checked));
+        setWizardState({ step: 4, migration: r.migration, progress: null, log: [] });
+        streamProgress();
+      } catch (e) { alert('Failed: ' + e.message); }
+    }
+
+    async function openMigration(id) {
+      try {
+        const r = await api.getMigration(id);
+        const step = ['planned', 'created'].includes(r.migration.status) ? 3 : r.migration.status === 'running' ? 4 : 5;
+        state.wizard = { ...state.wizard, step, migration: r.migration, migrationItems: r.items, plan: r.plan, progress: r.migration.progress, log: [] };
+        setState({ currentPage: 'migrations' });
+        if (step === 4) streamProgress();
       } catch (e) { console.error(e); }
     }
 
+    // Follows the run over Server-Sent Events; renders are batched because large
+    // runs can emit many events per second. Falls back to polling if the stream fails.
+    function streamProgress() {
+      if (!window.EventSource) return pollProgress();
+      const id = state.wizard.migration.id;
+      const source = api.migrationEvents(id);
+      let renderTimer = null;
+      const scheduleRender = () => { if (!renderTimer) renderTimer = setTimeout(() => { renderTimer = null; render(); }, 250); };
+      const stillViewing = () => state.wizard.migration && state.wizard.migration.id === id;
+      source.addEventListener('snapshot', (ev) => {
+        const d = JSON.parse(ev.data);
+        if (stillViewing()) setWizardState({ migration: d.migration, migrationItems: d.items, progress: d.migration.progress });
+      });
+      source.addEventListener('item', (ev) => {
+        if (!stillViewing()) return source.close();
+        const item = JSON.parse(ev.data).item;
+        const log = state.wizard.log.concat({ time: new Date().toLocaleTimeString(), name: item.name, status: item.status, error: item.errorMessage || null }).slice(-200);
+        state.wizard = { ...state.wizard, log, migrationItems: state.wizard.migrationItems.map(i => i.id === item.id ? item : i) };
+        scheduleRender();
+      });
+      source.addEventListener('progress', (ev) => {
+        if (!stillViewing()) return source.close();
+        state.wizard = { ...state.wizard, progress: JSON.parse(ev.data).progress };
+        scheduleRender();
+      });
+      source.addEventListener('done', (ev) => {
+        source.close();
+        clearTimeout(renderTimer);
+        const migration = JSON.parse(ev.data).migration;
+        if (stillViewing() && migration.status !== 'running') {
+          api.getMigration(id).then(r => setWizardState({ step: 5, migration: r.migration, migrationItems: r.items, progress: r.migration.progress })).catch(console.error);
+          loadMigrations();
+        }
+      });
+      source.onerror = () => {
+        if (source.readyState === 2) return;
+        source.close();
+        if (stillViewing() && state.wizard.step === 4) pollProgress();
+      };
+    }
+
     function pollProgress() {
       const interval = setInterval(async () => {
         try {
@@ -799,7 +4483,7 @@ function getHTML() {
     }
 
     function resetWizard() {
-      setWizardState({ step: 1, sourceSpace: null, targetSpace: null, connections: [], files: [], selectedItems: [], migration: null, migrationItems: [], conflicts: [], progress: null });
+      setWizardState({ step: 1, sourceTenantId: null, targetTenantId: null, sourceSpaces: null, targetSpaces: null, connectingTenant: false, sourceSpace: null, targetSpace: null, connections: [], files: [], apps: [], selectedItems: [], expandedFolders: [], filter: DEFAULT_FILTER, owners: {}, fromManifest: false, mode: 'copy', dryRun: false, publishApps: false, conflictStrategy: 'skip', renameTemplate: '', bulkRenameTemplate: '', maxAttempts: 5, concurrency: { connections: 2, files: 4, apps: 1 }, migration: null, migrationItems: [], plan: null, conflicts: [], progress: null, log: [] });
     }
 
     function render() {
@@ -810,6 +4494,8 @@ function getHTML() {
         case 'dashboard': page = renderDashboard(); break;
         case 'spaces': page = renderSpaces(); break;
         case 'migrations': page = renderMigrationWizard(); break;
+        case 'batches': page = renderBatches(); break;
+        case 'schedules': page = renderSchedules(); break;
         case 'history': page = renderHistory(); break;
         default: page = renderDashboard();
       }
@@ -818,7 +4504,11 @@ function getHTML() {
 
     render();
     if (state.isConnected) loadInitialData();
+    else loadProfiles();
   </script>
 </body>
 </html>`;
 }
+
+// Pure helpers, exported for the tests in test/
+module.exports = { QlikService, applyNameTemplate, nextFreeName, rewriteScriptPaths, globToRegExp, validateSelector, exclusionFilter, parseManifest, parseCron, nextCronTime };
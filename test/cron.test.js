@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCron, nextCronTime } = require('../src/app');
+
+// Local time, as schedules are; 19 October 2026 is a Monday
+const at = (month, day, hour = 0, minute = 0, second = 0) => new Date(2026, month - 1, day, hour, minute, second);
+
+test('parseCron expands steps, ranges and lists', () => {
+  const cron = parseCron('*/15 9-17/4 1,15 * 1-5');
+  assert.deepStrictEqual([...cron.minute], [0, 15, 30, 45]);
+  assert.deepStrictEqual([...cron.hour], [9, 13, 17]);
+  assert.deepStrictEqual([...cron.dayOfMonth], [1, 15]);
+  assert.strictEqual(cron.month.size, 12);
+  assert.deepStrictEqual([...cron.dayOfWeek], [1, 2, 3, 4, 5]);
+  assert.deepStrictEqual([cron.anyDayOfMonth, cron.anyDayOfWeek], [false, false]);
+  assert.deepStrictEqual([...parseCron('0 0 * * 5-7').dayOfWeek], [5, 6, 0]);
+});
+
+test('parseCron treats Sunday as 0 or 7', () => {
+  assert.deepStrictEqual([...parseCron('0 0 * * 7').dayOfWeek], [0]);
+  assert.deepStrictEqual([...parseCron('0 0 * * 0').dayOfWeek], [0]);
+});
+
+test('parseCron rejects the wrong number of fields and out-of-range values', () => {
+  assert.throws(() => parseCron('* * * *'), /needs five fields/);
+  assert.throws(() => parseCron(''), /needs five fields/);
+  assert.throws(() => parseCron('60 * * * *'), /Invalid minute field: 60/);
+  assert.throws(() => parseCron('* 5-3 * * *'), /Invalid hour field: 5-3/);
+  assert.throws(() => parseCron('* * 0 * *'), /Invalid dayOfMonth field: 0/);
+  assert.throws(() => parseCron('* * * 13 *'), /Invalid month field: 13/);
+  assert.throws(() => parseCron('* * * * MON'), /Invalid dayOfWeek field: MON/);
+  assert.throws(() => parseCron('*/0 * * * *'), /Invalid minute field/);
+});
+
+test('nextCronTime returns the first matching minute strictly after the given time', () => {
+  assert.deepStrictEqual(nextCronTime('30 2 * * *', at(10, 19, 1, 0)), at(10, 19, 2, 30));
+  assert.deepStrictEqual(nextCronTime('30 2 * * *', at(10, 19, 2, 30)), at(10, 20, 2, 30));
+  assert.deepStrictEqual(nextCronTime('*/15 * * * *', at(10, 19, 9, 14, 59)), at(10, 19, 9, 15));
+  assert.deepStrictEqual(nextCronTime('0 0 1 * *', at(12, 31, 12)), new Date(2027, 0, 1));
+});
+
+test('nextCronTime runs on a day matching either field when both are restricted', () => {
+  // The 25th or a Friday, whichever comes first
+  assert.deepStrictEqual(nextCronTime('0 6 25 * 5', at(10, 19)), at(10, 23, 6));
+  assert.deepStrictEqual(nextCronTime('0 6 21 * 5', at(10, 19)), at(10, 21, 6));
+  // With one of them `*`, only the other one restricts the day
+  assert.deepStrictEqual(nextCronTime('0 6 * * 7', at(10, 19)), at(10, 25, 6));
+  assert.deepStrictEqual(nextCronTime('0 6 25 * *', at(10, 19)), at(10, 25, 6));
+});
+
+test('nextCronTime returns null for a date that never exists', () => {
+  assert.strictEqual(nextCronTime('0 0 30 2 *', at(10, 19)), null);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { globToRegExp, validateSelector, exclusionFilter, parseManifest } = require('../src/app');
+
+test('globToRegExp keeps * and ? within one folder level', () => {
+  const re = globToRegExp('Sales/*.qvd');
+  assert.ok(re.test('Sales/q1.qvd'));
+  assert.ok(!re.test('Sales/2026/q1.qvd'));
+  assert.ok(!re.test('Sales/q1.qvdx'));
+  assert.ok(globToRegExp('q?.csv').test('q1.csv'));
+  assert.ok(!globToRegExp('q?.csv').test('q/.csv'));
+});
+
+test('globToRegExp lets ** span any number of folders, including none', () => {
+  const re = globToRegExp('Sales/**/*.qvd');
+  assert.ok(re.test('Sales/q1.qvd'));
+  assert.ok(re.test('Sales/2026/q1/a.qvd'));
+  assert.ok(!re.test('Other/q1.qvd'));
+  assert.ok(globToRegExp('**/tmp_*').test('tmp_a'));
+  assert.ok(globToRegExp('**/tmp_*').test('a/b/tmp_a'));
+});
+
+test('globToRegExp escapes regex characters and is case-sensitive', () => {
+  assert.ok(globToRegExp('a+b (1).qvd').test('a+b (1).qvd'));
+  assert.ok(!globToRegExp('a.qvd').test('abqvd'));
+  assert.ok(!globToRegExp('Sales/*').test('sales/a.qvd'));
+});
+
+test('validateSelector rejects unknown fields and item types', () => {
+  assert.doesNotThrow(() => validateSelector({ type: 'file', glob: '*.qvd' }));
+  assert.throws(() => validateSelector('*.qvd'), /must be objects/);
+  assert.throws(() => validateSelector({ pattern: '*.qvd' }), /Unknown selector field: pattern/);
+  assert.throws(() => validateSelector({ type: 'sheet' }), /Unknown item type: sheet/);
+});
+
+test('exclusionFilter also excludes everything inside an excluded folder', () => {
+  const candidates = [
+    { itemType: 'folder', name: 'tmp' },
+    { itemType: 'file', name: 'tmp/a.qvd' },
+    { itemType: 'file', name: 'tmpfile.qvd' },
+    { itemType: 'file', name: 'keep/tmp_b.qvd' }
+  ];
+  const excluded = exclusionFilter([{ type: 'folder', name: 'tmp' }, { glob: '**/tmp_*' }], candidates);
+  assert.deepStrictEqual(candidates.filter(excluded).map(i => i.name), ['tmp', 'tmp/a.qvd', 'keep/tmp_b.qvd']);
+});
+
+test('parseManifest reads YAML and JSON text as well as objects', () => {
+  const yamlText = 'version: 1\nsource: { space: Dev }\ntarget: { space: Prod }\ninclude:\n  - type: connection\n  - glob: "Sales/**/*.qvd"\noptions: { conflictStrategy: rename }\n';
+  const manifest = parseManifest(yamlText);
+  assert.deepStrictEqual(manifest.include, [{ type: 'connection' }, { glob: 'Sales/**/*.qvd' }]);
+  assert.deepStrictEqual(parseManifest(JSON.stringify(manifest)), manifest);
+  const object = { source: { space: 'Dev' }, target: { space: 'Prod' }, include: [{ type: 'app' }] };
+  assert.strictEqual(parseManifest(object), object);
+});
+
+test('parseManifest explains what is missing or wrong', () => {
+  const base = { source: { space: 'Dev' }, target: { space: 'Prod' }, include: [{ type: 'app' }] };
+  assert.throws(() => parseManifest(''), /The manifest is empty/);
+  assert.throws(() => parseManifest('include: [unclosed'), /Could not read the manifest/);
+  assert.throws(() => parseManifest({ ...base, version: 2 }), /Unsupported manifest version: 2/);
+  assert.throws(() => parseManifest({ ...base, target: {} }), /needs source.space and target.space/);
+  assert.throws(() => parseManifest({ ...base, include: [] }), /at least one include selector/);
+  assert.throws(() => parseManifest({ ...base, exclude: { glob: '*' } }), /exclude must be a list of selectors/);
+  assert.throws(() => parseManifest({ ...base, options: { parallel: 4 } }), /Unknown manifest option: parallel/);
+});
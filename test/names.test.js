@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { applyNameTemplate, nextFreeName } = require('../src/app');
+
+const tokens = { date: '2026-10-19', sourceSpace: 'Dev', targetSpace: 'Prod' };
+
+test('applyNameTemplate splits the extension off files only', () => {
+  assert.strictEqual(applyNameTemplate('{base}_copy{ext}', 'sales.qvd', 'file', tokens), 'sales_copy.qvd');
+  assert.strictEqual(applyNameTemplate('{base}_copy{ext}', 'Sales.2026', 'folder', tokens), 'Sales.2026_copy');
+  assert.strictEqual(applyNameTemplate('{base}_copy{ext}', '.env', 'file', tokens), '.env_copy');
+});
+
+test('applyNameTemplate keeps the folder path and fills every token', () => {
+  assert.strictEqual(applyNameTemplate('{targetSpace}_{base}_{date}_{n}{ext}', 'Sales/2026/q1.csv', 'file', tokens, 3), 'Sales/2026/Prod_q1_2026-10-19_3.csv');
+  assert.strictEqual(applyNameTemplate('{base}{unknown}', 'a', 'connection', tokens), 'a{unknown}');
+});
+
+test('applyNameTemplate rejects names that are empty or contain a slash', () => {
+  assert.throws(() => applyNameTemplate(' ', 'a.qvd', 'file', tokens), /does not produce a valid name/);
+  assert.throws(() => applyNameTemplate('{base}/x', 'a.qvd', 'file', tokens), /does not produce a valid name/);
+});
+
+test('nextFreeName counts up before the extension when the plain name is taken', () => {
+  const taken = new Set(['a_copy.qvd', 'a_copy_2.qvd']);
+  assert.strictEqual(nextFreeName('{base}_copy{ext}', 'a.qvd', 'file', tokens, new Set()), 'a_copy.qvd');
+  assert.strictEqual(nextFreeName('{base}_copy{ext}', 'a.qvd', 'file', tokens, taken), 'a_copy_3.qvd');
+});
+
+test('nextFreeName uses {n} when the template has it and never returns the source name', () => {
+  assert.strictEqual(nextFreeName('{base}-{n}{ext}', 'a.qvd', 'file', tokens, new Set(['a-1.qvd'])), 'a-2.qvd');
+  assert.strictEqual(nextFreeName('{base}{ext}', 'a.qvd', 'file', tokens, new Set()), 'a_2.qvd');
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { QlikService } = require('../src/app');
+
+const service = (retry) => new QlikService('tenant.example.com', 'key', retry);
+
+function httpError(status, code) {
+  const error = new Error(`HTTP ${status || code}`);
+  if (status) error.response = { status, headers: {} };
+  if (code) error.code = code;
+  return error;
+}
+
+test('maxAttempts is clamped to 1-10 and falls back to the default when not a number', () => {
+  assert.strictEqual(service({ maxAttempts: 50 }).retry.maxAttempts, 10);
+  assert.strictEqual(service({ maxAttempts: 0 }).retry.maxAttempts, 5);
+  assert.strictEqual(service({ maxAttempts: -3 }).retry.maxAttempts, 1);
+  assert.strictEqual(service({ maxAttempts: 'many' }).retry.maxAttempts, 5);
+  assert.strictEqual(service({ maxAttempts: 2.7 }).retry.maxAttempts, 2);
+});
+
+test('retryDelay honours Retry-After seconds up to maxDelayMs', () => {
+  const qlik = service({ baseDelayMs: 1000, maxDelayMs: 30000 });
+  assert.strictEqual(qlik.retryDelay(1, '3'), 3000);
+  assert.strictEqual(qlik.retryDelay(1, '0'), 0);
+  assert.strictEqual(qlik.retryDelay(1, '120'), 30000);
+});
+
+test('retryDelay honours a Retry-After date and ignores one in the past', () => {
+  const qlik = service({ baseDelayMs: 1000, maxDelayMs: 30000 });
+  const future = qlik.retryDelay(1, new Date(Date.now() + 10000).toUTCString());
+  assert.ok(future > 8000 && future <= 10000, `got ${future}`);
+  const past = qlik.retryDelay(1, new Date(Date.now() - 10000).toUTCString());
+  assert.ok(past >= 500 && past <= 1000, `got ${past}`);
+});
+
+test('retryDelay backs off exponentially with jitter, capped at maxDelayMs', () => {
+  const qlik = service({ baseDelayMs: 1000, maxDelayMs: 30000 });
+  for (let i = 0; i < 50; i++) {
+    const third = qlik.retryDelay(3);
+    assert.ok(third >= 2000 && third <= 4000, `got ${third}`);
+    const tenth = qlik.retryDelay(10);
+    assert.ok(tenth >= 15000 && tenth <= 30000, `got ${tenth}`);
+  }
+});
+
+test('withRetry retries a 503 until it succeeds', async () => {
+  const qlik = service({ maxAttempts: 3, baseDelayMs: 1, maxDelayMs: 1 });
+  let calls = 0;
+  const response = await qlik.withRetry('GET', async () => {
+    if (++calls < 3) throw httpError(503);
+    return { status: 200, data: 'ok' };
+  });
+  assert.deepStrictEqual([calls, response.data], [3, 'ok']);
+});
+
+test('withRetry gives up after maxAttempts and does not retry a 400', async () => {
+  const qlik = service({ maxAttempts: 2, baseDelayMs: 1, maxDelayMs: 1 });
+  let calls = 0;
+  await assert.rejects(qlik.withRetry('GET', async () => { calls++; throw httpError(429); }), /HTTP 429/);
+  assert.strictEqual(calls, 2);
+  calls = 0;
+  await assert.rejects(qlik.withRetry('GET', async () => { calls++; throw httpError(400); }), /HTTP 400/);
+  assert.strictEqual(calls, 1);
+});
+
+test('withRetry asks findExisting before resending a POST after a 500', async () => {
+  const qlik = service({ maxAttempts: 3, baseDelayMs: 1, maxDelayMs: 1 });
+  let calls = 0;
+  await assert.rejects(qlik.withRetry('POST', async () => { calls++; throw httpError(500); }), /HTTP 500/);
+  assert.strictEqual(calls, 1);
+  calls = 0;
+  const response = await qlik.withRetry('POST', async () => { calls++; throw httpError(500); }, async () => ({ id: 'created' }));
+  assert.deepStrictEqual([calls, response.data], [1, { id: 'created' }]);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { rewriteScriptPaths } = require('../src/app');
+
+const none = new Map();
+
+test('rewriteScriptPaths points lib:// paths in the source space at the target space', () => {
+  const script = "LOAD * FROM [lib://Dev:DataFiles/sales.qvd] (qvd);\nLOAD * FROM 'lib://dev_files/x.csv';";
+  const { script: rewritten, changes } = rewriteScriptPaths(script, 'Dev', 'Prod', none);
+  assert.strictEqual(rewritten, "LOAD * FROM [lib://Prod:DataFiles/sales.qvd] (qvd);\nLOAD * FROM 'lib://dev_files/x.csv';");
+  assert.deepStrictEqual(changes, [{ line: 1, before: 'LOAD * FROM [lib://Dev:DataFiles/sales.qvd] (qvd);', after: 'LOAD * FROM [lib://Prod:DataFiles/sales.qvd] (qvd);' }]);
+});
+
+test('rewriteScriptPaths rewrites LIB CONNECT TO in any case and quote style', () => {
+  const script = "LIB CONNECT TO 'Dev:Snowflake';\nlib connect to [Dev:Postgres];";
+  const { script: rewritten } = rewriteScriptPaths(script, 'Dev', 'Prod', none);
+  assert.strictEqual(rewritten, "LIB CONNECT TO 'Prod:Snowflake';\nlib connect to [Prod:Postgres];");
+});
+
+test('rewriteScriptPaths leaves references to other spaces alone', () => {
+  const script = "LOAD * FROM [lib://Shared:DataFiles/a.qvd];\nLIB CONNECT TO 'Shared:Snowflake';";
+  const result = rewriteScriptPaths(script, 'Dev', 'Prod', new Map([['DataFiles', 'DataFiles_copy']]));
+  assert.strictEqual(result.script, script);
+  assert.deepStrictEqual(result.changes, []);
+});
+
+test('rewriteScriptPaths applies connection renames, including to unqualified references', () => {
+  const renames = new Map([['Snowflake', 'Snowflake_copy'], ['Files', 'Files_copy']]);
+  const script = "LIB CONNECT TO 'Dev:Snowflake';\nLIB CONNECT TO 'Snowflake';\nLOAD * FROM [lib://Files/a.qvd];";
+  const { script: rewritten, changes } = rewriteScriptPaths(script, 'Dev', 'Prod', renames);
+  assert.strictEqual(rewritten, "LIB CONNECT TO 'Prod:Snowflake_copy';\nLIB CONNECT TO 'Snowflake_copy';\nLOAD * FROM [lib://Files_copy/a.qvd];");
+  assert.deepStrictEqual(changes.map(c => c.line), [1, 2, 3]);
+});